@@ -1,18 +1,37 @@
     // ============================================================
     //  MÓDULO: WEB SERIAL MANAGER
     // ============================================================
+    // Varias placas a la vez: cada una es un enlace con su puerto, su cola de comandos
+    // y su latido. Comandos y panel (medidores, osciloscopio, sesión, archivos) actúan
+    // sobre la placa activa; el resto alimenta el resumen multiplaca (Boards).
     const SerialManager = (() => {
-        let port = null;
-        let reader = null;
-        let writer = null;
-        let readBuffer = '';
-        let isConnected = false;
-
-        function updateUI(connected) {
-            isConnected = connected;
-            document.getElementById('btnConnect').classList.toggle('hidden', connected);
-            document.getElementById('btnDisconnect').classList.toggle('hidden', !connected);
-            document.getElementById('btnStart').disabled = !connected;
+        const BOARDS_KEY = 'ova.boards';
+        const links = [];      // placas conectadas o esperando reconexión
+        let active = null;     // placa mostrada en el panel
+        let replay = null;     // enlace sin puerto para reproducir trazas
+        let nextId = 1;
+        let capture = null;    // { started, t0, entries[] } mientras se graba traza
+        let known = loadKnown();   // [{ vid, pid, uid, name }] placas ya nombradas
+        let watching = false;
+
+        function loadKnown() {
+            try { return JSON.parse(localStorage.getItem(BOARDS_KEY)) || []; }
+            catch (e) { return []; }
+        }
+
+        function remember(link) {
+            const { vid, pid, uid } = link.identity || {};
+            if (!uid) return;   // firmware sin identificador: no se puede reconocer después
+            known = known.filter(k => k.uid !== uid);
+            known.push({ vid, pid, uid, name: link.name });
+            localStorage.setItem(BOARDS_KEY, JSON.stringify(known));
+        }
+
+        function updateUI() {
+            const connected = !!(active && active.connected);
+            document.getElementById('btnConnect').textContent = links.length ? '+ AGREGAR PLACA' : 'CONECTAR ESP32';
+            document.getElementById('btnDisconnect').classList.toggle('hidden', !active);
+            document.getElementById('btnStart').disabled = !connected || !!active.state.session;
             document.getElementById('btnWaveOn').disabled = !connected;
             document.getElementById('btnList').disabled = !connected;
 
@@ -20,745 +39,6468 @@
             const text = document.getElementById('statusText');
             const indicator = document.getElementById('connStatus');
             if (connected) {
-                dot.className = 'status-dot connected';
-                text.textContent = 'ESP32 ONLINE';
+                dot.className = `status-dot ${active.stalled ? 'stalled' : 'connected'}`;
+                text.textContent = active.stalled ? 'SIN RESPUESTA'
+                    : links.length > 1 ? `${active.name.toUpperCase()} · ${links.length} PLACAS`
+                    : active.virtual ? 'LAB VIRTUAL' : 'ESP32 ONLINE';
                 indicator.classList.add('conn-online');
             } else {
                 dot.className = 'status-dot';
-                text.textContent = 'DESCONECTADO';
+                text.textContent = active ? 'RECONECTANDO' : 'DESCONECTADO';
                 indicator.classList.remove('conn-online');
             }
+
+            const sel = document.getElementById('boardSel');
+            sel.classList.toggle('hidden', links.length < 2);
+            sel.replaceChildren(...links.map(l =>
+                new Option(l.connected ? l.name : `${l.name} (desconectada)`, l.id, false, l === active)));
+            Boards.render();
         }
 
-        let userClosed  = false;
-        let reconnTimer = null;
+        // ── Enlace con una placa ──
+        function createLink(name) {
+            const link = {
+                id: nextId++,
+                name,
+                identity: null,        // { vid, pid, uid } para reconocerla al reconectar
+                device: null,          // { fw, caps, session, wave, uid } leído en el handshake
+                state: { session: undefined, wave: false },
+                connected: false,
+                stalled: false,
+                virtual: null,         // dispositivo simulado (VirtualLab) en lugar del puerto
+                meter: null,           // últimos valores rms y energía (Boards)
+                bin: Framing.createState(),
+                // Datos propios del panel: se conservan mientras se mira otra placa
+                energy: Energy.createState(),
+                trend: Trend.createState(),
+                scope: Oscilloscope.createState()
+            };
+            let port = null;
+            let reader = null;
+            let writer = null;
+            let readBuffer = '';
+            let userClosed  = false;
+            let reconnTimer = null;
+            let waiting = false;   // sin puerto compatible: a la espera del evento 'connect'
 
-        async function openPort(p) {
-            port = p;
-            await port.open({ baudRate: 921600 });
-            writer = port.writable.getWriter();
-            updateUI(true);
-            logSerial('SISTEMA', 'ESP32-S3 conectado por USB');
-            readLoop();
-        }
+            const tag = () => links.length > 1 ? `${link.name}: ` : '';
 
-        async function connect() {
-            if (!('serial' in navigator)) {
-                alert('Web Serial API no soportada. Usa Chrome/Edge.');
-                return;
-            }
-            try {
+            async function open(p) {
+                TraceReplay.pause();
+                port = p;
                 userClosed = false;
-                const p = await navigator.serial.requestPort();
-                await openPort(p);
-            } catch (e) {
-                logSerial('ERROR', e.message);
+                await port.open({ baudRate: 921600 });
+                writer = port.writable.getWriter();
+                const info = port.getInfo ? port.getInfo() : {};
+                link.identity = { vid: info.usbVendorId, pid: info.usbProductId, uid: link.identity?.uid };
+                link.connected = true;
+                updateUI();
+                logSerial('SISTEMA', `${tag()}ESP32-S3 conectado por USB`);
+                readLoop();
+                await handshake();
+                if (link === active) FileManager.resume();
             }
-        }
 
-        async function disconnect() {
-            userClosed = true;
-            clearTimeout(reconnTimer);
-            try {
-                if (reader) { await reader.cancel(); reader = null; }
-                if (writer) { writer.releaseLock(); writer = null; }
-                if (port)   { await port.close(); port = null; }
-            } catch (e) { /* ignorar */ }
-            updateUI(false);
-            logSerial('SISTEMA', 'Desconectado');
-        }
+            function attach(device) {
+                TraceReplay.pause();
+                link.virtual = device;
+                link.identity = { vid: null, pid: null, uid: null };
+                link.connected = true;
+                device.open(link);
+                updateUI();
+                logSerial('SISTEMA', `${tag()}Laboratorio virtual conectado`);
+                return handshake();
+            }
 
-        async function tryReconnect() {
-            if (userClosed) return;
-            logSerial('SISTEMA', 'Reconectando...');
-            try {
-                const ports = await navigator.serial.getPorts();
-                if (ports.length === 0) {
-                    logSerial('ERROR', 'Puerto no encontrado. Reconecta manualmente.');
-                    updateUI(false);
+            async function close() {
+                userClosed = true;
+                clearTimeout(reconnTimer);
+                stopHeartbeat();
+                Framing.reset(link);
+                failAll('Desconectado');
+                Library.stop('placa desconectada', link);
+                await release();
+            }
+
+            // Cerrar el puerto sin tratarlo como pérdida de conexión
+            async function release() {
+                link.connected = false;
+                if (link.virtual) { link.virtual.close(); link.virtual = null; }
+                try {
+                    if (reader) { await reader.cancel(); reader = null; }
+                    if (writer) { writer.releaseLock(); writer = null; }
+                    if (port)   { await port.close(); port = null; }
+                } catch (e) { /* ignorar */ }
+                reader = writer = port = null;
+            }
+
+            // Reabrir un puerto con el mismo VID/PID; el uid del firmware distingue
+            // entre placas idénticas (handshake rechaza la que no corresponde)
+            async function tryReconnect() {
+                reconnTimer = null;
+                if (userClosed || link.connected) return;
+                let ports;
+                try {
+                    ports = await navigator.serial.getPorts();
+                } catch (e) {
+                    logSerial('ERROR', `${tag()}${e.message}`);
+                    logSerial('SISTEMA', `${tag()}Reintentando en 2s...`);
+                    reconnTimer = setTimeout(tryReconnect, 2000);
                     return;
                 }
+                const inUse = links.filter(l => l.connected).map(l => l.port);
+                const { vid, pid } = link.identity || {};
+                const candidates = ports.filter(p => {
+                    const info = p.getInfo();
+                    return !inUse.includes(p) && (!vid || (info.usbVendorId === vid && info.usbProductId === pid));
+                });
+                if (candidates.length === 0) {
+                    if (!waiting) logSerial('SISTEMA', `${tag()}Puerto no encontrado. Esperando a que se conecte la placa...`);
+                    waiting = true;
+                    return;
+                }
+                waiting = false;
+                logSerial('SISTEMA', `${tag()}Reconectando...`);
                 await new Promise(r => setTimeout(r, 1500));
-                await openPort(ports[0]);
-                logSerial('SISTEMA', 'Reconectado automaticamente');
-            } catch (e) {
-                logSerial('SISTEMA', 'Reintentando en 2s...');
-                reconnTimer = setTimeout(tryReconnect, 2000);
-            }
-        }
-
-        async function readLoop() {
-            const decoder = new TextDecoder();
-            try {
-                while (port && port.readable) {
-                    reader = port.readable.getReader();
+                for (const p of candidates) {
+                    if (userClosed || link.connected) return;
                     try {
-                        while (true) {
-                            const { value, done } = await reader.read();
-                            if (done) break;
-                            readBuffer += decoder.decode(value, { stream: true });
-                            processBuffer();
-                        }
-                    } finally {
-                        reader.releaseLock();
+                        await open(p);
+                        logSerial('SISTEMA', `${tag()}Reconectado automaticamente`);
+                        return;
+                    } catch (e) {
+                        logSerial('WARN', `${tag()}${e.message}`);
+                        await release();
                     }
                 }
-            } catch (e) {
-                // ignorar cancelaciones intencionales
+                logSerial('SISTEMA', `${tag()}Reintentando en 2s...`);
+                reconnTimer = setTimeout(tryReconnect, 2000);
             }
 
-            if (!userClosed) {
-                updateUI(false);
-                logSerial('SISTEMA', 'Conexion perdida. Reconectando...');
-                reconnTimer = setTimeout(tryReconnect, 1500);
+            // Evento 'connect' de Web Serial: un puerto nuevo puede ser esta placa
+            function retry() {
+                if (waiting && !reconnTimer) tryReconnect();
             }
-        }
 
-        function processBuffer() {
-            const lines = readBuffer.split('\n');
-            readBuffer = lines.pop(); // Guardar línea incompleta
-            lines.forEach(line => {
-                const trimmed = line.trim();
-                if (!trimmed) return;
+            async function readLoop() {
                 try {
-                    const msg = JSON.parse(trimmed);
-                    handleMessage(msg);
+                    while (port && port.readable) {
+                        reader = port.readable.getReader();
+                        try {
+                            while (true) {
+                                const { value, done } = await reader.read();
+                                if (done) break;
+                                ingest(value);
+                            }
+                        } finally {
+                            reader.releaseLock();
+                        }
+                    }
                 } catch (e) {
-                    // No es JSON válido, ignorar
+                    // ignorar cancelaciones intencionales
                 }
-            });
-        }
 
-        async function send(cmd) {
-            if (!writer) { logSerial('ERROR', 'No conectado'); return; }
-            const encoded = new TextEncoder().encode(cmd + '\n');
-            await writer.write(encoded);
-            logSerial('TX', cmd);
-        }
+                if (link.connected && !userClosed) {
+                    link.connected = false;
+                    stopHeartbeat();
+                    Framing.reset(link);
+                    failAll('Conexión perdida');
+                    Library.stop('placa desconectada', link);
+                    updateUI();
+                    logSerial('SISTEMA', `${tag()}Conexion perdida. Reconectando...`);
+                    reconnTimer = setTimeout(tryReconnect, 1500);
+                }
+            }
 
-        return { connect, disconnect, send, get isConnected() { return isConnected; } };
-    })();
+            function processBuffer() {
+                const lines = readBuffer.split('\n');
+                readBuffer = lines.pop(); // Guardar línea incompleta
+                lines.forEach(line => {
+                    const trimmed = line.trim();
+                    if (!trimmed) return;
+                    let msg;
+                    try {
+                        msg = JSON.parse(trimmed);
+                    } catch (e) {
+                        return; // No es JSON válido, ignorar
+                    }
+                    deliver(msg, trimmed);
+                });
+            }
 
-    // ============================================================
-    //  MÓDULO: MANEJO DE MENSAJES ENTRANTES
-    // ============================================================
-    function handleMessage(msg) {
-        switch (msg.type) {
-            case 'rms':
-                Gauges.update(msg.voltage, msg.current, msg.power);
-                break;
-            case 'wave':
-                Oscilloscope.pushSamples(msg.samples);
-                break;
-            case 'list':
-                FileManager.renderFileList(msg.files);
-                break;
-            case 'file_data':
-                FileManager.receiveFileData(msg.content);
-                break;
-            case 'file_start':
-                FileManager.startReceiving(msg.name, msg.size);
-                logSerial('RX', `Recibiendo: ${msg.name} (${msg.size} bytes)`);
-                break;
-            case 'file_end':
-                FileManager.finishReceiving();
-                break;
-            case 'ack':
-                logSerial('ACK', `[${msg.cmd}] ${msg.msg}`);
-                if (msg.cmd === 'START') {
-                    document.getElementById('sessionInfo').textContent = `Sesion activa: ${msg.msg}`;
-                    document.getElementById('btnStop').disabled = false;
-                    document.getElementById('btnStart').disabled = true;
-                } else if (msg.cmd === 'STOP') {
-                    document.getElementById('sessionInfo').textContent = 'Sesión finalizada';
-                    document.getElementById('btnStop').disabled = true;
-                    document.getElementById('btnStart').disabled = false;
+            function deliver(msg, line) {
+                if (shown(link)) {
+                    record('rx', line);
+                    SerialConsole.received(line);
                 }
-                break;
-            case 'error':
-                logSerial('ERROR', msg.msg);
-                break;
-            case 'status':
-            case 'boot':
-                logSerial('INFO', msg.msg || JSON.stringify(msg));
-                break;
-        }
-    }
-
-    // ============================================================
-    //  MÓDULO: SESIÓN
-    // ============================================================
-    const Session = {
-        start() { SerialManager.send('START'); },
-        stop()  { SerialManager.send('STOP'); },
-        waveOn() {
-            SerialManager.send('WAVE_ON');
-            document.getElementById('btnWaveOn').classList.add('hidden');
-            document.getElementById('btnWaveOff').classList.remove('hidden');
-            document.getElementById('oscActive').textContent = '● ACTIVO';
-            document.getElementById('oscActive').classList.add('wave-live');
-        },
-        waveOff() {
-            SerialManager.send('WAVE_OFF');
-            document.getElementById('btnWaveOff').classList.add('hidden');
-            document.getElementById('btnWaveOn').classList.remove('hidden');
-            document.getElementById('oscActive').textContent = '● INACTIVO';
-            document.getElementById('oscActive').classList.remove('wave-live');
-        }
-    };
+                dispatch(msg);
+            }
 
-    // ============================================================
-    //  MÓDULO: GAUGES (Canvas analógico tipo velocímetro)
-    // ============================================================
-    const Gauges = (() => {
-        const configs = {
-            voltage: {
-                canvas: null, ctx: null,
-                min: 0, max: 250, value: 0, targetValue: 0,
-                label: 'V', zones: [
-                    { start: 0,   end: 0.4, color: '#ef4444' },  // rojo: 0-100V
-                    { start: 0.4, end: 0.6, color: '#f59e0b' },  // amarillo: 100-150V
-                    { start: 0.6, end: 0.9, color: '#10b981' },  // verde: 150-225V
-                    { start: 0.9, end: 1.0, color: '#ef4444' },  // rojo: >225V
-                ],
-                displayId: 'valVoltage'
-            },
-            current: {
-                canvas: null, ctx: null,
-                min: 0, max: 20, value: 0, targetValue: 0,
-                label: 'A', zones: [
-                    { start: 0,   end: 0.6, color: '#10b981' },
-                    { start: 0.6, end: 0.8, color: '#f59e0b' },
-                    { start: 0.8, end: 1.0, color: '#ef4444' },
-                ],
-                displayId: 'valCurrent'
-            },
-            power: {
-                canvas: null, ctx: null,
-                min: 0, max: 3000, value: 0, targetValue: 0,
-                label: 'W', zones: [
-                    { start: 0,   end: 0.5, color: '#10b981' },
-                    { start: 0.5, end: 0.75, color: '#f59e0b' },
-                    { start: 0.75, end: 1.0, color: '#ef4444' },
-                ],
-                displayId: 'valPower'
+            // Sólo la placa activa (o la traza) llega al panel; las demás al resumen
+            function dispatch(msg) {
+                lastRx = Date.now();
+                if (missed) { missed = 0; setStalled(false); }
+                if (link !== replay) Boards.track(link, msg);
+                if (msg.type === 'rms') meter(link, msg);
+                Library.feed(link, msg);
+                if (settle(msg)) return;
+                if (shown(link)) handleMessage(msg);
+                else if (msg.type === 'rms') keep(link, msg);
+                else if (msg.type === 'error') logSerial('ERROR', `${link.name}: ${msg.msg}`);
+                else if (msg.type === 'ack') logSerial('ACK', `${link.name}: [${msg.cmd}] ${msg.msg}`);
             }
-        };
 
-        const START_ANGLE = Math.PI * 0.75;
-        const END_ANGLE   = Math.PI * 2.25;
-        const SWEEP       = END_ANGLE - START_ANGLE;
+            // Energía de toda placa, mostrada o no: potencia del firmware y reloj del enlace
+            // (el de la captura en una traza). La traza suma en el panel que la muestra.
+            function meter(link, msg) {
+                const r = msg.phases ? ThreePhase.aggregate(msg.phases) : msg;
+                if (link === replay) Energy.update(r.power, TraceReplay.clock ?? Date.now());
+                else Energy.update(r.power, Date.now(), link.energy);
+            }
 
-        function drawGauge(cfg) {
-            const canvas = cfg.canvas;
-            const ctx = cfg.ctx;
-            const W = canvas.width, H = canvas.height;
-            const cx = W / 2, cy = H * 0.72;
-            const R = Math.min(W, H * 1.4) * 0.44;
+            // Placa en segundo plano: su tendencia sigue acumulándose
+            function keep(link, msg) {
+                const r = msg.phases ? ThreePhase.aggregate(msg.phases) : msg;
+                Trend.push(r.voltage, r.current, r.power, link.trend);
+            }
 
-            ctx.clearRect(0, 0, W, H);
+            // Entrada alternativa al buffer (laboratorio virtual, reproducción de trazas)
+            function inject(text) {
+                readBuffer += text;
+                processBuffer();
+            }
 
-            // Fondo del arco (track)
-            ctx.beginPath();
-            ctx.arc(cx, cy, R, START_ANGLE, END_ANGLE);
-            ctx.strokeStyle = '#1a1d23';
-            ctx.lineWidth = 14;
-            ctx.lineCap = 'round';
-            ctx.stroke();
+            // ── Flujo mixto: líneas JSON terminadas en \n y tramas binarias 0x00 COBS 0x00 ──
+            // El texto nunca contiene 0x00 y COBS lo elimina de la trama, así que el cero
+            // marca el inicio y el fin de cada trama. Si se pierde un cero, la cabecera de la
+            // trama (tipo y largo) y su CRC permiten distinguir de nuevo texto y tramas.
+            const decoder = new TextDecoder();
+            let frameBuf = null;      // trozos de la trama en curso (null: modo texto)
+            let frameLen = 0;         // bytes acumulados en frameBuf
+            let frameMax = null;      // tamaño máximo según la cabecera (null: aún sin leer)
+            let resync = false;       // texto tras una trama truncada: descartar hasta \n o {
 
-            // Zonas de color
-            cfg.zones.forEach(z => {
-                const sa = START_ANGLE + SWEEP * z.start;
-                const ea = START_ANGLE + SWEEP * z.end;
-                ctx.beginPath();
-                ctx.arc(cx, cy, R, sa, ea);
-                ctx.strokeStyle = z.color + '55';
-                ctx.lineWidth = 14;
-                ctx.stroke();
-            });
+            function joined() {
+                const raw = new Uint8Array(frameLen);
+                let off = 0;
+                frameBuf.forEach(b => { raw.set(b, off); off += b.length; });
+                return raw;
+            }
 
-            // Arco de valor (animado)
-            const t = (cfg.value - cfg.min) / (cfg.max - cfg.min);
-            const clampT = Math.max(0, Math.min(1, t));
-            const valAngle = START_ANGLE + SWEEP * clampT;
+            function openFrame() {
+                frameBuf = [];
+                frameLen = 0;
+                frameMax = null;
+            }
 
-            if (clampT > 0) {
-                // Gradiente dinámico según zona
-                const grad = ctx.createConicalGradient
-                    ? null // no nativo, usar color sólido
-                    : null;
+            function text(bytes) {
+                if (resync) {
+                    const k = bytes.findIndex(b => b === 0x0A || b === 0x7B);
+                    if (k < 0) return;
+                    resync = false;
+                    bytes = bytes.subarray(k);
+                }
+                readBuffer += decoder.decode(bytes, { stream: true });
+                processBuffer();
+            }
 
-                let arcColor = '#3b82f6';
-                for (const z of cfg.zones) {
-                    if (clampT >= z.start && clampT <= z.end) {
-                        arcColor = z.color;
-                        break;
+            function frameBytes(bytes) {
+                frameBuf.push(bytes.slice());
+                frameLen += bytes.length;
+                if (frameMax === null) {
+                    const raw = joined();
+                    frameMax = Framing.frameLimit(raw);
+                    if (frameMax === 0) {
+                        // No es una trama: el cero anterior cerraba una, esto es texto
+                        frameBuf = null;
+                        text(raw);
+                        return;
                     }
                 }
+                if (frameMax !== null && frameLen > frameMax) {
+                    // Se perdió el cero de cierre: volver a texto en la próxima línea
+                    Framing.discard(link);
+                    frameBuf = null;
+                    resync = true;
+                }
+            }
 
-                ctx.beginPath();
-                ctx.arc(cx, cy, R, START_ANGLE, valAngle);
-                ctx.strokeStyle = arcColor;
-                ctx.lineWidth = 14;
-                ctx.lineCap = 'round';
-                ctx.shadowColor = arcColor;
-                ctx.shadowBlur = 12;
-                ctx.stroke();
-                ctx.shadowBlur = 0;
+            function ingest(bytes) {
+                let start = 0;
+                for (let k = 0; k <= bytes.length; k++) {
+                    if (k < bytes.length && bytes[k] !== 0) continue;
+                    const part = bytes.subarray(start, k);
+                    start = k + 1;
+                    if (frameBuf) {
+                        if (part.length) frameBytes(part);
+                    } else if (part.length) {
+                        text(part);
+                    }
+                    if (k === bytes.length) break;
+                    if (!frameBuf) {
+                        // Una trama nunca corta una línea: lo pendiente es basura de una trama leída como texto
+                        readBuffer = '';
+                        decoder.decode();
+                        resync = false;
+                        openFrame();
+                    } else if (frameLen && Framing.receive(link, joined())) {
+                        frameBuf = null;
+                    } else {
+                        // Vacía o inválida: este cero abre la trama siguiente
+                        openFrame();
+                    }
+                }
             }
 
-            // Marcas de escala
-            const ticks = 10;
-            for (let i = 0; i <= ticks; i++) {
-                const a = START_ANGLE + SWEEP * (i / ticks);
-                const isMain = i % 2 === 0;
-                const r1 = R + 8, r2 = isMain ? R + 18 : R + 13;
-                ctx.beginPath();
-                ctx.moveTo(cx + Math.cos(a) * r1, cy + Math.sin(a) * r1);
-                ctx.lineTo(cx + Math.cos(a) * r2, cy + Math.sin(a) * r2);
-                ctx.strokeStyle = isMain ? '#6b7280' : '#374151';
-                ctx.lineWidth = isMain ? 2 : 1;
-                ctx.stroke();
+            // Envío sin esperar respuesta (RESEND, comandos desde trazas…). Se cuentan
+            // porque un 'error' posterior puede deberse a ellos y no a la petición en curso.
+            let strays = 0;
 
-                if (isMain) {
-                    const val = cfg.min + (cfg.max - cfg.min) * (i / ticks);
-                    const tx = cx + Math.cos(a) * (r2 + 12);
-                    const ty = cy + Math.sin(a) * (r2 + 12);
-                    ctx.fillStyle = '#6b7280';
-                    ctx.font = `bold 9px 'Share Tech Mono', monospace`;
-                    ctx.textAlign = 'center';
-                    ctx.textBaseline = 'middle';
-                    ctx.fillText(val >= 1000 ? (val/1000).toFixed(1)+'k' : Math.round(val), tx, ty);
+            function send(cmd, quiet = false) {
+                strays++;
+                return write(cmd, quiet);
+            }
+
+            async function write(cmd, quiet) {
+                if (link.virtual) {
+                    if (shown(link)) record('tx', cmd);
+                    if (!quiet) logSerial('TX', tag() + cmd);
+                    link.virtual.write(cmd);
+                    return;
                 }
+                if (!writer) { logSerial('ERROR', `${tag()}No conectado`); return; }
+                const encoded = new TextEncoder().encode(cmd + '\n');
+                await writer.write(encoded);
+                if (shown(link)) record('tx', cmd);
+                if (!quiet) logSerial('TX', tag() + cmd);
             }
 
-            // AGUJA
-            const needleAngle = START_ANGLE + SWEEP * clampT;
-            const needleLen = R - 8;
-            const needleBase = 6;
+            // ── Capa de comandos: cola, correlación de respuestas, timeouts y reintentos ──
+            // El firmware atiende un comando a la vez y no numera respuestas: se envía el
+            // siguiente sólo cuando el anterior recibió su respuesta, un error o expiró.
+            const queue = [];
+            let inflight = null;  // { cmd, op, reply, retries, timeout, quiet, resolve, reject, timer }
 
-            // Sombra de aguja
-            ctx.save();
-            ctx.shadowColor = 'rgba(0,0,0,0.6)';
-            ctx.shadowBlur = 6;
-            ctx.shadowOffsetX = 2;
-            ctx.shadowOffsetY = 2;
+            // Promesa con el mensaje de respuesta ('ack' por defecto); rechaza con 'error' o timeout
+            function request(cmd, opts = {}) {
+                const op = cmd.trim().split(' ')[0];
+                const def = COMMANDS[op] || {};
+                return new Promise((resolve, reject) => {
+                    queue.push({
+                        cmd, op, reply: def.reply || 'ack',
+                        retries: opts.retries ?? def.retries ?? 0,
+                        timeout: opts.timeout ?? TIMEOUT_MS,
+                        quiet: !!opts.quiet,
+                        resolve, reject
+                    });
+                    pump();
+                });
+            }
 
-            ctx.beginPath();
-            ctx.moveTo(
-                cx + Math.cos(needleAngle - 0.08) * needleBase,
-                cy + Math.sin(needleAngle - 0.08) * needleBase
-            );
-            ctx.lineTo(
-                cx + Math.cos(needleAngle) * needleLen,
-                cy + Math.sin(needleAngle) * needleLen
-            );
-            ctx.lineTo(
-                cx + Math.cos(needleAngle + 0.08) * needleBase,
-                cy + Math.sin(needleAngle + 0.08) * needleBase
-            );
-            ctx.closePath();
-            ctx.fillStyle = '#f3f4f6';
-            ctx.fill();
-            ctx.restore();
+            function pump() {
+                if (inflight || queue.length === 0) return;
+                if (!link.connected) { failAll('No conectado'); return; }
+                inflight = queue.shift();
+                transmit(inflight);
+            }
 
-            // Perno central
-            ctx.beginPath();
-            ctx.arc(cx, cy, 7, 0, Math.PI * 2);
-            ctx.fillStyle = '#374151';
+            function transmit(job) {
+                clearTimeout(job.timer);
+                job.timer = setTimeout(() => expire(job), job.timeout);
+                job.strays = strays;
+                write(job.cmd, job.quiet).catch(e => { if (inflight === job) finish(job, e); });
+            }
+
+            function expire(job) {
+                if (inflight !== job) return;
+                if (job.retries-- > 0) {
+                    if (!job.quiet) logSerial('WARN', `${tag()}Sin respuesta a ${job.op}, reintentando`);
+                    transmit(job);
+                    return;
+                }
+                if (!job.quiet) logSerial('ERROR', `${tag()}Sin respuesta a ${job.op}`);
+                finish(job, new Error(`Sin respuesta a ${job.op}`));
+            }
+
+            function finish(job, err, msg) {
+                clearTimeout(job.timer);
+                inflight = null;
+                err ? job.reject(err) : job.resolve(msg);
+                pump();
+            }
+
+            function failAll(reason) {
+                const jobs = inflight ? [inflight, ...queue.splice(0)] : queue.splice(0);
+                if (inflight) { clearTimeout(inflight.timer); inflight = null; }
+                jobs.forEach(j => j.reject(new Error(reason)));
+            }
+
+            // Asocia una respuesta a la petición en curso. Devuelve true si no debe pasar
+            // a handleMessage (respuestas de peticiones silenciosas, como el latido).
+            function settle(msg) {
+                const job = inflight;
+                if (!job) return false;
+                if (msg.type === 'error') {
+                    // Sólo es suyo si nada salió fuera de la cola desde que se envió,
+                    // o si el mensaje nombra su comando
+                    const mine = msg.cmd ? msg.cmd === job.op
+                        : job.strays === strays || String(msg.msg ?? '').split(/[^A-Z0-9_]+/).includes(job.op);
+                    if (!mine) return false;
+                    finish(job, new Error(msg.msg));
+                    return job.quiet;
+                }
+                if (msg.type !== job.reply) return false;
+                if (msg.type === 'ack' && msg.cmd && msg.cmd !== job.op) return false;
+                finish(job, null, msg);
+                return job.quiet;
+            }
+
+            // ── Handshake: firmware, capacidades, identidad y estado real de la sesión ──
+            async function handshake() {
+                link.device = null;
+                try {
+                    const st = await request('STATUS', { timeout: 3000 });
+                    link.device = {
+                        fw: st.fw || 'desconocido',
+                        caps: Array.isArray(st.caps) ? st.caps : null,
+                        session: 'session' in st ? st.session : undefined,   // undefined: firmware antiguo
+                        wave: typeof st.wave === 'boolean' ? st.wave : undefined,
+                        uid: st.uid || null
+                    };
+                    logSerial('SISTEMA', `${tag()}Firmware ${link.device.fw}${link.device.caps ? ` · ${link.device.caps.join(', ')}` : ''}`);
+                } catch (e) {
+                    logSerial('WARN', `${tag()}Handshake sin respuesta (${e.message}): estado de sesión desconocido`);
+                }
+                const uid = link.device?.uid;
+                if (uid && link.identity.uid && uid !== link.identity.uid) {
+                    throw new Error(`El puerto corresponde a otra placa (${uid})`);
+                }
+                if (uid) link.identity.uid = uid;
+                if (link.device) {
+                    link.state = { session: link.device.session, wave: !!link.device.wave };
+                    if (link === active) Session.sync(link.device);
+                }
+                await Framing.negotiate(link);
+                startHeartbeat();
+            }
+
+            // ── Latido: STATUS silencioso cuando la placa deja de transmitir ──
+            let heartbeat = null;
+            let lastRx = 0;
+            let missed = 0;
+
+            function startHeartbeat() {
+                stopHeartbeat();
+                lastRx = Date.now();
+                missed = 0;
+                heartbeat = setInterval(beat, HEARTBEAT_MS);
+            }
+
+            function stopHeartbeat() {
+                clearInterval(heartbeat);
+                heartbeat = null;
+                if (missed) { missed = 0; setStalled(false); }
+            }
+
+            async function beat() {
+                if (!link.connected || inflight || queue.length || Date.now() - lastRx < HEARTBEAT_MS) return;
+                try {
+                    await request('STATUS', { quiet: true, retries: 0 });
+                } catch (e) {
+                    if (!link.connected) return;
+                    missed++;
+                    if (missed === 2) {
+                        logSerial('WARN', `${tag()}La placa no responde`);
+                        setStalled(true);
+                    }
+                    // Puerto USB abierto pero sin datos: cerrar y dejar que tryReconnect lo reabra
+                    if (missed >= 4 && port && !link.virtual) {
+                        logSerial('ERROR', `${tag()}Placa bloqueada: reiniciando la conexión`);
+                        stopHeartbeat();
+                        try {
+                            if (reader) await reader.cancel();
+                            if (writer) writer.releaseLock();
+                            await port.close();
+                        } catch (err) { /* el puerto ya estaba cerrado */ }
+                        reader = writer = port = null;
+                    }
+                }
+            }
+
+            function setStalled(stalled) {
+                if (!link.connected) return;
+                link.stalled = stalled;
+                updateUI();
+            }
+
+            Object.defineProperty(link, 'port', { get: () => port });
+            return Object.assign(link, { tag, open, attach, close, release, retry, deliver, inject, ingest, send, request });
+        }
+
+        const COMMANDS = {
+            STATUS:   { reply: 'status',     retries: 2 },
+            LIST:     { reply: 'list',       retries: 2 },
+            CAL_GET:  { reply: 'cal',        retries: 2 },
+            READ:     { reply: 'file_start', retries: 1 },
+            READ2:    { reply: 'file_start', retries: 1 },
+            WAVE_ON:  { retries: 2 },
+            WAVE_OFF: { retries: 2 },
+            STOP:     { retries: 1 },
+            // START, CAL_SET, DELETE, RENAME y ABORT no se reintentan: no son idempotentes
+        };
+        const TIMEOUT_MS = 2000;
+        const HEARTBEAT_MS = 5000;
+
+        const shown = link => link === active || link === replay;
+
+        // ── Alta, baja y selección de placas ──
+        function add(link) {
+            links.push(link);
+            if (!active || !active.connected) activate(link);
+            return link;
+        }
+
+        // Nombre recordado por uid; si la placa es nueva, lo pide al usuario
+        function nameBoard(link, ask = true) {
+            const uid = link.identity?.uid;
+            const entry = uid && known.find(k => k.uid === uid);
+            if (entry) {
+                link.name = entry.name;
+            } else if (ask) {
+                const name = (prompt('Nombre de la placa (banco o circuito):', link.name) || '').trim();
+                if (name) link.name = name;
+            }
+            remember(link);
+            updateUI();
+            logSerial('SISTEMA', `Placa "${link.name}"${uid ? ` (${uid})` : ''} lista`);
+        }
+
+        async function connect() {
+            if (!('serial' in navigator)) {
+                alert('Web Serial API no soportada. Usa Chrome/Edge.');
+                return;
+            }
+            if (!watching) {
+                navigator.serial.addEventListener('connect', () => links.forEach(l => l.retry()));
+                watching = true;
+            }
+            let p;
+            try {
+                p = await navigator.serial.requestPort();
+            } catch (e) {
+                logSerial('ERROR', e.message);
+                return;
+            }
+            if (links.some(l => l.connected && l.port === p)) {
+                logSerial('ERROR', 'Esa placa ya está conectada');
+                return;
+            }
+            const link = add(createLink(`Placa ${links.length + 1}`));
+            try {
+                await link.open(p);
+            } catch (e) {
+                logSerial('ERROR', e.message);
+                await link.close();
+                drop(link);
+                return;
+            }
+            nameBoard(link);
+        }
+
+        function connectVirtual(device) {
+            if (links.some(l => l.virtual)) { logSerial('ERROR', 'El laboratorio virtual ya está conectado'); return null; }
+            const link = add(createLink('Lab virtual'));
+            link.attach(device).then(() => nameBoard(link, false));
+            return link;
+        }
+
+        async function disconnect(id = active?.id) {
+            const link = links.find(l => l.id === id);
+            if (!link) return;
+            await link.close();
+            drop(link);
+            logSerial('SISTEMA', links.length ? `${link.name}: Desconectado` : 'Desconectado');
+        }
+
+        function drop(link) {
+            links.splice(links.indexOf(link), 1);
+            if (link === active) {
+                const next = links.find(l => l.connected) || links[0];
+                if (next) activate(next);
+                else active = null;
+            }
+            updateUI();
+        }
+
+        // El panel pasa a mostrar otra placa: energía, tendencia y osciloscopio son de
+        // cada enlace; lo derivado de la forma de onda se recalcula con la nueva
+        function activate(link) {
+            const previous = active;
+            active = link;
+            Oscilloscope.attach(link.scope);
+            Trend.attach(link.trend);
+            Energy.attach(link.energy);
+            if (!previous) return;
+            LineMetrics.setDeviceRate(null);
+            ThreePhase.reset();
+            FileManager.renderFileList([], null);
+            Session.sync({ session: link.state.session ?? null, wave: !!link.state.wave });
+            const m = link.meter;
+            if (m) Gauges.update(m.voltage, m.current, m.power);
+            Framing.render();
+        }
+
+        function select(id) {
+            const link = links.find(l => l.id === +id);
+            if (!link || link === active) return;
+            if (FileManager.busy) {
+                logSerial('ERROR', 'Espere a que termine la descarga antes de cambiar de placa');
+                updateUI();
+                return;
+            }
+            activate(link);
+            updateUI();
+            logSerial('SISTEMA', `Panel: ${link.name}`);
+        }
+
+        function rename(id) {
+            const link = links.find(l => l.id === id);
+            if (!link) return;
+            const name = (prompt('Nombre de la placa:', link.name) || '').trim();
+            if (!name || name === link.name) return;
+            link.name = name;
+            remember(link);
+            updateUI();
+        }
+
+        // ── Acceso a la placa activa (el resto de módulos no distingue placas) ──
+        function send(cmd, quiet = false) {
+            if (!active) { logSerial('ERROR', 'No conectado'); return Promise.resolve(); }
+            return active.send(cmd, quiet);
+        }
+
+        function request(cmd, opts) {
+            if (!active) return Promise.reject(new Error('No conectado'));
+            return active.request(cmd, opts);
+        }
+
+        // Entrada de la reproducción de trazas
+        function inject(text) {
+            if (!replay) replay = createLink('Traza');
+            replay.inject(text);
+        }
+
+        // ── Captura de trazas (tráfico de la placa activa) ──
+        function record(dir, line) {
+            if (!capture) return;
+            capture.entries.push({ t: Math.round(performance.now() - capture.t0), dir, line });
+        }
+
+        function startCapture() {
+            capture = { started: new Date(), t0: performance.now(), entries: [] };
+            document.getElementById('btnCapture').classList.add('hidden');
+            document.getElementById('btnCaptureStop').classList.remove('hidden');
+            logSerial('SISTEMA', 'Captura de traza iniciada');
+        }
+
+        function stopCapture() {
+            if (!capture) return;
+            const header = { type: 'trace', version: 1, started: capture.started.toISOString(), count: capture.entries.length };
+            const body = [header, ...capture.entries].map(e => JSON.stringify(e)).join('\n') + '\n';
+            const stamp = capture.started.toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            downloadBlob(body, 'application/x-ndjson', `traza_${stamp}.jsonl`);
+            logSerial('INFO', `Traza guardada: ${capture.entries.length} líneas`);
+            capture = null;
+            document.getElementById('btnCaptureStop').classList.add('hidden');
+            document.getElementById('btnCapture').classList.remove('hidden');
+        }
+
+        function setReplay(activeReplay) {
+            const dot = document.getElementById('statusDot');
+            const text = document.getElementById('statusText');
+            if (activeReplay) {
+                dot.className = 'status-dot replay';
+                text.textContent = 'REPRODUCIENDO TRAZA';
+            } else {
+                updateUI();
+            }
+        }
+
+        return {
+            connect, connectVirtual, disconnect, select, rename, send, request, inject,
+            startCapture, stopCapture, setReplay,
+            get isConnected() { return !!(active && active.connected); },
+            get device() { return active ? active.device : null; },
+            get active() { return active; },
+            get boards() { return links.slice(); },
+            get isCapturing() { return capture !== null; }
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: TRAMAS BINARIAS (COBS + muestras empaquetadas de 12 bits)
+    // ============================================================
+    // Trama: 0x00 | COBS( tipo:u8 | seq:u16 | len:u16 | payload[len] | crc32:u32 ) | 0x00
+    // Tipo 0x01 (WAVE): canales:u8 | n:u16 | tasa_hz:u16 | muestras de 12 bits,
+    // dos por cada 3 bytes, intercaladas V0 I0 V1 I1 … (enteros little-endian).
+    // Con 6 canales (trifásico) cada instante es VL1 IL1 VL2 IL2 VL3 IL3.
+    const Framing = (() => {
+        const TYPE_WAVE = 0x01;
+        const FLUSH_MS = 100;          // agrupar tramas en mensajes 'wave' a ≤ 10 Hz
+        const REPORT_MS = 5000;
+        const RESYNC_GAP = 4096;       // saltos mayores: el firmware reinició el contador
+
+        // ── Codificación (la usa el laboratorio virtual, igual que el firmware) ──
+        function cobsEncode(data) {
+            const out = new Uint8Array(data.length + Math.ceil(data.length / 254) + 1);
+            let code = 1, codeIdx = 0, o = 1;
+            for (let k = 0; k < data.length; k++) {
+                if (data[k] === 0) {
+                    out[codeIdx] = code;
+                    code = 1;
+                    codeIdx = o++;
+                } else {
+                    out[o++] = data[k];
+                    if (++code === 0xFF) {
+                        out[codeIdx] = code;
+                        code = 1;
+                        codeIdx = o++;
+                    }
+                }
+            }
+            out[codeIdx] = code;
+            return out.subarray(0, o);
+        }
+
+        function cobsDecode(data) {
+            const out = new Uint8Array(data.length);
+            let o = 0;
+            for (let k = 0; k < data.length;) {
+                const code = data[k++];
+                if (code === 0 || k + code - 1 > data.length) return null;
+                for (let j = 1; j < code; j++) out[o++] = data[k++];
+                if (code < 0xFF && k < data.length) out[o++] = 0;
+            }
+            return out.subarray(0, o);
+        }
+
+        function pack12(values) {
+            const out = new Uint8Array(Math.ceil(values.length * 3 / 2));
+            for (let k = 0, o = 0; k < values.length; k += 2, o += 3) {
+                const a = values[k] & 0xFFF, b = (values[k + 1] ?? 0) & 0xFFF;
+                out[o] = a & 0xFF;
+                out[o + 1] = (a >> 8) | ((b & 0x0F) << 4);
+                if (o + 2 < out.length) out[o + 2] = b >> 4;
+            }
+            return out;
+        }
+
+        function unpack12(bytes, count) {
+            const out = new Uint16Array(count);
+            for (let k = 0, o = 0; k < count; k += 2, o += 3) {
+                out[k] = bytes[o] | ((bytes[o + 1] & 0x0F) << 8);
+                if (k + 1 < count) out[k + 1] = (bytes[o + 1] >> 4) | (bytes[o + 2] << 4);
+            }
+            return out;
+        }
+
+        // channels: [V] | [V, I] | [V1, I1, V2, I2, V3, I3], arreglos de igual largo
+        function encodeWave(seq, rate, channels) {
+            const ch = channels.length, n = channels[0].length;
+            const inter = new Array(n * ch);
+            for (let k = 0; k < n; k++) {
+                for (let c = 0; c < ch; c++) inter[k * ch + c] = channels[c][k];
+            }
+            const samples = pack12(inter);
+            const payload = new Uint8Array(5 + samples.length);
+            const pv = new DataView(payload.buffer);
+            pv.setUint8(0, ch);
+            pv.setUint16(1, n, true);
+            pv.setUint16(3, rate, true);
+            payload.set(samples, 5);
+
+            const body = new Uint8Array(5 + payload.length + 4);
+            const bv = new DataView(body.buffer);
+            bv.setUint8(0, TYPE_WAVE);
+            bv.setUint16(1, seq & 0xFFFF, true);
+            bv.setUint16(3, payload.length, true);
+            body.set(payload, 5);
+            bv.setUint32(5 + payload.length, crc32(body.subarray(0, 5 + payload.length)), true);
+
+            const enc = cobsEncode(body);
+            const frame = new Uint8Array(enc.length + 2);
+            frame.set(enc, 1);
+            return frame;
+        }
+
+        // ── Recepción: estado propio de cada placa (link.bin) ──
+        function createState() {
+            return {
+                enabled: false,
+                lastSeq: null,
+                pending: null,         // { rate, channels: [[]…] } por entregar
+                lastFlush: 0,
+                flushTimer: null,
+                stats: { frames: 0, dropped: 0, corrupt: 0 },
+                reported: { dropped: 0, corrupt: 0, at: 0 }
+            };
+        }
+
+        function receive(link, raw) {
+            const st = link.bin;
+            const body = cobsDecode(raw);
+            if (!body || body.length < 9) { st.stats.corrupt++; return false; }
+            const v = new DataView(body.buffer, body.byteOffset, body.length);
+            const len = v.getUint16(3, true);
+            if (5 + len + 4 !== body.length || crc32(body.subarray(0, 5 + len)) !== v.getUint32(5 + len, true)) {
+                st.stats.corrupt++;
+                return false;
+            }
+            const seq = v.getUint16(1, true);
+            if (st.lastSeq !== null) {
+                const gap = (seq - st.lastSeq - 1) & 0xFFFF;
+                if (gap < RESYNC_GAP) st.stats.dropped += gap;
+                else logSerial('WARN', `${link.tag()}Secuencia de tramas reiniciada (${st.lastSeq} → ${seq})`);
+            }
+            st.lastSeq = seq;
+            st.stats.frames++;
+
+            if (v.getUint8(0) === TYPE_WAVE) wave(link, body.subarray(5, 5 + len));
+            return true;
+        }
+
+        // Trama abandonada sin cierre
+        function discard(link) {
+            link.bin.stats.corrupt++;
+        }
+
+        // Tamaño máximo de la trama codificada según su cabecera (tipo, seq, len) aún
+        // codificada en COBS: null si faltan bytes, 0 si no puede ser una trama
+        function frameLimit(head) {
+            const hdr = [];
+            for (let k = 0; hdr.length < 5;) {
+                if (k >= head.length) return null;
+                const code = head[k++];
+                for (let j = 1; j < code && hdr.length < 5; j++) {
+                    if (k >= head.length) return null;
+                    hdr.push(head[k++]);
+                }
+                if (code < 0xFF) hdr.push(0);
+            }
+            if (hdr[0] !== TYPE_WAVE) return 0;
+            const body = 5 + (hdr[3] | hdr[4] << 8) + 4;
+            return body + Math.ceil(body / 254) + 1;
+        }
+
+        function wave(link, payload) {
+            const st = link.bin;
+            const v = new DataView(payload.buffer, payload.byteOffset, payload.length);
+            const ch = v.getUint8(0), n = v.getUint16(1, true), rate = v.getUint16(3, true);
+            const samples = unpack12(payload.subarray(5), n * ch);
+
+            if (st.pending && (st.pending.rate !== rate || st.pending.channels.length !== ch)) flush(link);
+            if (!st.pending) st.pending = { rate, channels: Array.from({ length: ch }, () => []) };
+            const out = st.pending.channels;
+            for (let k = 0; k < n; k++) {
+                for (let c = 0; c < ch; c++) out[c].push(samples[k * ch + c]);
+            }
+            const now = performance.now();
+            if (now - st.lastFlush >= FLUSH_MS) flush(link);
+            else if (!st.flushTimer) st.flushTimer = setTimeout(() => flush(link), FLUSH_MS);
+        }
+
+        // Entregar lo acumulado como un mensaje 'wave' normal (y a la traza, si se graba)
+        function flush(link) {
+            const st = link.bin;
+            clearTimeout(st.flushTimer);
+            st.flushTimer = null;
+            if (!st.pending) return;
+            const { rate, channels } = st.pending;
+            const msg = channels.length === 6
+                ? { type: 'wave', rate, phases: [0, 2, 4].map(c => ({ voltage: channels[c], current: channels[c + 1] })) }
+                : { type: 'wave', rate, voltage: channels[0], ...(channels[1] ? { current: channels[1] } : {}) };
+            st.pending = null;
+            st.lastFlush = performance.now();
+            link.deliver(msg, JSON.stringify(msg));
+            report(link);
+        }
+
+        // Aviso en el log (como mucho cada REPORT_MS) e indicador de la placa activa
+        function report(link) {
+            const { stats, reported } = link.bin;
+            const lost = stats.dropped + stats.corrupt;
+            const now = Date.now();
+            if (now - reported.at >= REPORT_MS && lost > reported.dropped + reported.corrupt) {
+                logSerial('WARN', `${link.tag()}Tramas perdidas: ${stats.dropped - reported.dropped} por secuencia, ${stats.corrupt - reported.corrupt} corruptas (total ${lost} de ${stats.frames + lost})`);
+                link.bin.reported = { dropped: stats.dropped, corrupt: stats.corrupt, at: now };
+            }
+            if (link === SerialManager.active) render();
+        }
+
+        function render() {
+            const el = document.getElementById('oscLink');
+            const st = SerialManager.active?.bin;
+            if (!st || !st.enabled) {
+                el.textContent = 'JSON';
+                el.classList.remove('link-warn');
+                return;
+            }
+            const lost = st.stats.dropped + st.stats.corrupt;
+            const total = st.stats.frames + lost;
+            el.textContent = `BIN · perdidas ${lost}${total ? ` (${(lost / total * 100).toFixed(2)}%)` : ''}`;
+            el.classList.toggle('link-warn', lost > st.reported.dropped + st.reported.corrupt);
+        }
+
+        // ── Negociación: sólo si el firmware declara la capacidad 'bin' ──
+        async function negotiate(link) {
+            const caps = link?.device?.caps;
+            if (!caps || !caps.includes('bin')) { render(); return false; }
+            try {
+                await link.request('BIN_ON');
+                link.bin.enabled = true;
+                logSerial('SISTEMA', `${link.tag()}Modo binario activo para formas de onda`);
+            } catch (e) {
+                logSerial('WARN', `${link.tag()}Modo binario no disponible (${e.message}): se usa JSON`);
+            }
+            render();
+            return link.bin.enabled;
+        }
+
+        function reset(link) {
+            clearTimeout(link.bin.flushTimer);
+            link.bin = createState();
+            if (link === SerialManager.active) {
+                LineMetrics.setDeviceRate(null);
+                document.getElementById('oscRateSel').value = '1000';
+                render();
+            }
+        }
+
+        return {
+            encodeWave, createState, receive, discard, frameLimit, negotiate, reset, render,
+            get enabled() { return !!SerialManager.active?.bin.enabled; }
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: RESUMEN MULTIPLACA (potencia total y reparto por circuito)
+    // ============================================================
+    const Boards = (() => {
+        const STALE_MS  = 3000;     // sin rms reciente la placa no suma al total
+        let renderTimer = null;
+
+        // Última lectura y estado de sesión de cada placa, activa o no; la energía es link.energy
+        function track(link, msg) {
+            if (msg.type === 'rms') {
+                const r = msg.phases ? ThreePhase.aggregate(msg.phases) : msg;
+                link.meter = { voltage: r.voltage, current: r.current, power: r.power, t: Date.now() };
+            } else if (msg.type === 'ack') {
+                if (msg.cmd === 'START') link.state.session = msg.msg;
+                else if (msg.cmd === 'STOP') link.state.session = null;
+                else if (msg.cmd === 'WAVE_ON' || msg.cmd === 'WAVE_OFF') link.state.wave = msg.cmd === 'WAVE_ON';
+                else return;
+            } else if (msg.type === 'status' && 'session' in msg) {
+                link.state.session = msg.session;
+                if (typeof msg.wave === 'boolean') link.state.wave = msg.wave;
+            } else {
+                return;
+            }
+            if (!renderTimer) renderTimer = setTimeout(render, 250);
+        }
+
+        function render() {
+            clearTimeout(renderTimer);
+            renderTimer = null;
+            const boards = SerialManager.boards;
+            document.getElementById('boardsPanel').classList.toggle('hidden', boards.length < 2);
+            if (boards.length < 2) return;
+
+            const now = Date.now();
+            const live = l => l.connected && l.meter && now - l.meter.t < STALE_MS ? l.meter : null;
+            const total = boards.reduce((a, l) => a + (live(l)?.power || 0), 0);
+            const wh = boards.reduce((a, l) => a + l.energy.wh, 0);
+            document.getElementById('boardsTotal').textContent =
+                `TOTAL ${fmtEng(total, 'W')} · ${fmtEng(wh, 'Wh')} · ${boards.filter(l => l.connected).length}/${boards.length} en línea`;
+
+            document.getElementById('boardsGrid').innerHTML = boards.map(l => {
+                const m = live(l);
+                const share = m && total > 0 ? m.power / total * 100 : 0;
+                const status = !l.connected ? 'RECONECTANDO' : l.stalled ? 'SIN RESPUESTA' : l.virtual ? 'VIRTUAL' : (l.device?.fw || 'EN LÍNEA');
+                return `
+                <div class="board-card ${l === SerialManager.active ? 'active' : ''} ${l.connected && !l.stalled ? '' : 'offline'}" onclick="SerialManager.select(${l.id})" title="Mostrar en el panel">
+                    <div class="board-head">
+                        <span class="board-name">${esc(l.name)}</span>
+                        <span class="board-status">${esc(status)}</span>
+                    </div>
+                    <div class="board-vals">
+                        <span>${m ? m.voltage.toFixed(1) : '—'} V</span>
+                        <span>${m ? m.current.toFixed(2) : '—'} A</span>
+                        <span>${m ? fmtEng(m.power, 'W') : '— W'}</span>
+                    </div>
+                    <div class="board-share"><div style="width: ${share.toFixed(1)}%"></div></div>
+                    <div class="board-meta">${share.toFixed(1)}% del total · ${fmtEng(l.energy.wh, 'Wh')}</div>
+                    <div class="board-actions">
+                        <span class="board-session">${l.state.session ? `● ${esc(l.state.session)}` : 'Sin sesión'}</span>
+                        <button class="log-clear-btn" ${l.connected ? '' : 'disabled'} onclick="event.stopPropagation(); Boards.toggleSession(${l.id})">${l.state.session ? '■ FINALIZAR' : '● INICIAR'}</button>
+                        <button class="log-clear-btn" title="Renombrar" onclick="event.stopPropagation(); SerialManager.rename(${l.id})">✎</button>
+                        <button class="log-clear-btn" title="Desconectar" onclick="event.stopPropagation(); SerialManager.disconnect(${l.id})">✕</button>
+                    </div>
+                </div>`;
+            }).join('');
+        }
+
+        // Sesión de cualquier placa; la activa pasa por Session para actualizar el panel
+        function toggleSession(id) {
+            const link = SerialManager.boards.find(l => l.id === id);
+            if (!link || !link.connected) return;
+            if (link === SerialManager.active) {
+                link.state.session ? Session.stop() : Session.start();
+                return;
+            }
+            link.request(link.state.session ? 'STOP' : 'START').catch(ignore);
+        }
+
+        return { track, render, toggleSession };
+    })();
+
+    // ============================================================
+    //  MÓDULO: REPRODUCCIÓN DE TRAZAS (transporte sin hardware)
+    // ============================================================
+    const TraceReplay = (() => {
+        let entries = [];      // [{ t, dir, line }] ordenadas por t (ms)
+        let duration = 0;
+        let idx = 0;
+        let position = 0;      // ms dentro de la traza
+        let speed = 1;
+        let playing = false;
+        let wallStart = 0, posStart = 0;
+        let timer = null;
+        let clock = 0;         // t (ms) de la línea que se está entregando
+
+        async function load(file) {
+            if (!file) return;
+            if (SerialManager.isConnected) {
+                logSerial('ERROR', 'Desconecte el ESP32 antes de reproducir una traza');
+                return;
+            }
+            const text = await file.text();
+            const parsed = [];
+            text.split('\n').forEach(line => {
+                const trimmed = line.trim();
+                if (!trimmed) return;
+                try {
+                    const e = JSON.parse(trimmed);
+                    if (typeof e.t === 'number' && typeof e.line === 'string') parsed.push(e);
+                } catch (err) { /* línea corrupta, ignorar */ }
+            });
+            if (parsed.length === 0) {
+                logSerial('ERROR', `Traza inválida: ${file.name}`);
+                return;
+            }
+            pause();
+            entries  = parsed.sort((a, b) => a.t - b.t);
+            duration = entries[entries.length - 1].t;
+            idx = 0;
+            position = 0;
+            document.getElementById('btnReplayPlay').disabled = false;
+            document.getElementById('replaySeek').disabled = false;
+            document.getElementById('traceInfo').textContent = `${file.name} (${entries.length} líneas)`;
+            logSerial('SISTEMA', `Traza cargada: ${file.name}`);
+            updateUI();
+        }
+
+        function emit(e) {
+            clock = e.t;
+            if (e.dir === 'tx') logSerial('TX', `${e.line} (traza)`);
+            else SerialManager.inject(e.line + '\n');
+        }
+
+        function tick() {
+            position = posStart + (performance.now() - wallStart) * speed;
+            while (idx < entries.length && entries[idx].t <= position) emit(entries[idx++]);
+            updateUI();
+            if (idx >= entries.length) {
+                position = duration;
+                pause();
+                logSerial('SISTEMA', 'Fin de la traza');
+                return;
+            }
+            timer = setTimeout(tick, 20);
+        }
+
+        function play() {
+            if (playing || entries.length === 0) return;
+            if (SerialManager.isConnected) {
+                logSerial('ERROR', 'Desconecte el ESP32 antes de reproducir una traza');
+                return;
+            }
+            if (idx >= entries.length) seek(0);
+            playing = true;
+            wallStart = performance.now();
+            posStart  = position;
+            SerialManager.setReplay(true);
+            tick();
+        }
+
+        function pause() {
+            if (!playing) return;
+            playing = false;
+            clearTimeout(timer);
+            SerialManager.setReplay(false);
+            updateUI();
+        }
+
+        function toggle() { playing ? pause() : play(); }
+
+        function seek(frac) {
+            position = Math.max(0, Math.min(1, frac)) * duration;
+            idx = entries.findIndex(e => e.t >= position);
+            if (idx < 0) idx = entries.length;
+            // Reemitir el último RMS previo para que los medidores reflejen el punto buscado
+            for (let i = idx - 1; i >= 0; i--) {
+                if (entries[i].dir === 'rx' && entries[i].line.includes('"rms"')) { emit(entries[i]); break; }
+            }
+            wallStart = performance.now();
+            posStart  = position;
+            updateUI();
+        }
+
+        function setSpeed(s) {
+            posStart  = position;
+            wallStart = performance.now();
+            speed = s > 0 ? s : 1;
+        }
+
+        function fmt(ms) {
+            const s = Math.floor(ms / 1000);
+            return `${String(Math.floor(s / 60)).padStart(2, '0')}:${String(s % 60).padStart(2, '0')}`;
+        }
+
+        function updateUI() {
+            document.getElementById('btnReplayPlay').textContent = playing ? '❚❚' : '▶';
+            document.getElementById('replaySeek').value = duration ? Math.round(position / duration * 1000) : 0;
+            document.getElementById('replayTime').textContent = `${fmt(position)} / ${fmt(duration)}`;
+        }
+
+        // Reloj de la traza durante la reproducción (null si no se reproduce): a 2–10×
+        // las tasas medidas con el reloj de pared saldrían 2–10× más altas
+        return {
+            load, play, pause, toggle, seek, setSpeed,
+            get isPlaying() { return playing; },
+            get clock() { return playing ? clock : null; }
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: LABORATORIO VIRTUAL (ESP32 simulado)
+    // ============================================================
+    const VirtualLab = (() => {
+        const JSON_MAX_RATE  = 1000;         // Hz, límite del streaming en líneas JSON
+        const FRAME_SAMPLES  = 256;          // muestras por canal en cada trama binaria
+        const NOISE_V = 2.5, NOISE_I = 3;    // desviación del ruido en cuentas ADC
+        const DROP_ZERO = 0.02;              // probabilidad de perder un delimitador de trama
+        const CHUNK = 512;                   // caracteres por file_data (READ legado)
+        const CHUNK_V2 = 256;                // bytes por file_chunk (READ2)
+        const CARD_BYTES = 8 * 1024 ** 3;    // microSD simulada de 8 GB
+
+        const LOAD_TYPES = {
+            resistive:  { label: 'Resistiva',    unit: 'W'  },
+            inductive:  { label: 'Inductiva',    unit: 'VA' },
+            capacitive: { label: 'Capacitiva',   unit: 'var' },
+            rectifier:  { label: 'Rectificador', unit: 'W'  },
+        };
+
+        const source = { voltage: 127, freq: 60 };
+        const PHASE_SHIFT = 2 * Math.PI / 3;     // trifásico Y, secuencia L1 → L2 → L3
+        let phases = 1;                          // 1 (monofásico) o 3
+        let loads = [];
+        let nextId = 1;
+        let timer = null;
+        let lastTick = 0;
+        let phase = 0;
+        let waveOn = false;
+        let sampleRate = JSON_MAX_RATE;      // Hz, igual que el timer del firmware
+        let binary = false;
+        let frameSeq = 0;
+        let acc = blankAcc();
+        let session = null;       // { name, t0, rows[] }
+        let link = null;          // enlace de SerialManager al que responde el banco
+        let bench = null;         // sensores físicos del banco: no cambian al calibrar
+        let cal = null;           // calibración guardada en el ESP32 simulado (CAL_SET)
+        let files = [];           // [{ name, content }]
+        let sessionCount = 0;
+
+        // Acumuladores RMS, uno por fase
+        function blankAcc() {
+            return { v: new Array(phases).fill(0), i: new Array(phases).fill(0), n: 0 };
+        }
+
+        // ── Modelo de cargas (impedancia fija, calculada con la fuente al agregarla) ──
+        function buildLoad(type, rating, pf, ph = 0) {
+            const V = source.voltage, w = 2 * Math.PI * source.freq;
+            const load = { id: nextId++, type, rating, pf, phase: ph, enabled: true };
+            if (type === 'resistive') {
+                load.R = V * V / rating;
+            } else if (type === 'inductive') {
+                const Z = V * V / rating;
+                load.R = Z * pf;
+                load.L = Z * Math.sqrt(1 - pf * pf) / w;
+            } else if (type === 'capacitive') {
+                load.C = rating / (w * V * V);
+            } else if (type === 'rectifier') {
+                // Puente con condensador de filtro: pulsos de corriente antes del pico
+                load.alpha = 0.6;  // ángulo de conducción (rad)
+                let k = 0;
+                for (let n = 0; n < 360; n++) {
+                    const th = n / 360 * 2 * Math.PI;
+                    k += Math.SQRT2 * V * Math.sin(th) * rectifierPulse(th, load.alpha);
+                }
+                load.A = rating / (k / 360);
+            }
+            return load;
+        }
+
+        function rectifierPulse(th, alpha) {
+            const t = th % (2 * Math.PI);
+            const half = t < Math.PI ? 1 : -1;
+            const x = (t % Math.PI) - (Math.PI / 2 - alpha);
+            if (x < 0 || x > alpha) return 0;
+            return half * Math.sin(Math.PI * x / alpha);
+        }
+
+        function loadCurrent(load, th, Vp, w) {
+            switch (load.type) {
+                case 'resistive':
+                    return Vp * Math.sin(th) / load.R;
+                case 'inductive': {
+                    const X = w * load.L;
+                    return Vp / Math.hypot(load.R, X) * Math.sin(th - Math.atan2(X, load.R));
+                }
+                case 'capacitive':
+                    return Vp * w * load.C * Math.cos(th);
+                case 'rectifier':
+                    return load.A * (Vp / (Math.SQRT2 * source.voltage)) * rectifierPulse(th, load.alpha);
+            }
+            return 0;
+        }
+
+        function gaussian() {
+            const u = 1 - Math.random(), v = Math.random();
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        }
+
+        function quantize(counts) {
+            return Math.max(0, Math.min(Sensor.ADC_MAX, Math.round(counts)));
+        }
+
+        // ── Generación de muestras ──
+        function tick() {
+            const now = performance.now();
+            const n = Math.min(sampleRate, Math.floor((now - lastTick) * sampleRate / 1000));
+            if (n <= 0) return;
+            lastTick += n * 1000 / sampleRate;
+
+            const noise = document.getElementById('vlabNoise').checked;
+            const Vp = Math.SQRT2 * source.voltage;
+            const w  = 2 * Math.PI * source.freq;
+            const dTh = w / sampleRate;
+            // En monofásico todas las cargas van a la única fase
+            const active = [0, 1, 2].slice(0, phases).map(p => loads.filter(l => l.enabled && (phases === 1 || l.phase === p)));
+            const channels = Array.from({ length: phases }, () => ({ voltage: [], current: [] }));
+
+            for (let k = 0; k < n; k++) {
+                for (let p = 0; p < phases; p++) {
+                    // Cada fase atrasa 120° respecto de la anterior
+                    const th = (phase - p * PHASE_SHIFT + 2 * Math.PI) % (2 * Math.PI);
+                    const v = Vp * Math.sin(th);
+                    const i = active[p].reduce((sum, l) => sum + loadCurrent(l, th, Vp, w), 0);
+                    const rawV = quantize(bench.vOffset + v / bench.vFactor + (noise ? gaussian() * NOISE_V : 0));
+                    const rawI = quantize(bench.iOffset + i * Sensor.I_COUNTS_PER_A + (noise ? gaussian() * NOISE_I : 0));
+                    channels[p].voltage.push(rawV);
+                    channels[p].current.push(rawI);
+
+                    // RMS como el firmware: cuentas cuantizadas con su propia calibración
+                    acc.v[p] += ((rawV - cal.voltage_offset) * cal.voltage_factor) ** 2;
+                    acc.i[p] += ((rawI - cal.current_offset) / Sensor.I_COUNTS_PER_A) ** 2;
+                }
+                acc.n++;
+                phase = (phase + dTh) % (2 * Math.PI);
+
+                if (acc.n >= sampleRate) emitRms();
+            }
+
+            if (!waveOn) return;
+            if (!binary) {
+                emit(phases === 3 ? { type: 'wave', phases: channels } : { type: 'wave', ...channels[0] });
+                return;
+            }
+            const flat = channels.flatMap(ch => [ch.voltage, ch.current]);
+            const lossy = document.getElementById('vlabDropZero').checked;
+            for (let k = 0; k < n; k += FRAME_SAMPLES) {
+                const frame = Framing.encodeWave(frameSeq++, sampleRate, flat.map(x => x.slice(k, k + FRAME_SAMPLES)));
+                // Prueba de resincronización: perder el cero de apertura o de cierre
+                if (lossy && Math.random() < DROP_ZERO) link.ingest(Math.random() < 0.5 ? frame.subarray(1) : frame.subarray(0, -1));
+                else link.ingest(frame);
+            }
+        }
+
+        function emitRms() {
+            const values = acc.v.map((_, p) => {
+                const voltage = +Math.sqrt(acc.v[p] / acc.n).toFixed(1);
+                const current = +Math.sqrt(acc.i[p] / acc.n).toFixed(2);
+                return { voltage, current, power: +(voltage * current).toFixed(1) };
+            });
+            acc = blankAcc();
+            emit(phases === 3 ? { type: 'rms', phases: values } : { type: 'rms', ...values[0] });
+            if (session) {
+                const cols = values.map(r => `${r.voltage},${r.current},${r.power}`).join(',');
+                session.rows.push(`${Math.round(performance.now() - session.t0)},${cols}`);
+            }
+        }
+
+        function csvHeader() {
+            return phases === 3
+                ? 'timestamp_ms,' + [1, 2, 3].map(n => `voltage_l${n},current_l${n},power_l${n}`).join(',')
+                : 'timestamp_ms,voltage_rms,current_rms,power';
+        }
+
+        function emit(msg) {
+            if (link) link.inject(JSON.stringify(msg) + '\n');
+        }
+
+        // Bloque seq de READ2 sobre los bytes UTF-8 del archivo, como la SD del firmware.
+        // Un corte que caería dentro de un carácter multibyte se retrasa a su inicio.
+        const utf8 = new TextEncoder();
+        const utf8Decoder = new TextDecoder();
+
+        function chunkOf(bytes, seq) {
+            const cut = k => {
+                let p = Math.min(k * CHUNK_V2, bytes.length);
+                while (p > 0 && p < bytes.length && (bytes[p] & 0xC0) === 0x80) p--;
+                return p;
+            };
+            return utf8Decoder.decode(bytes.subarray(cut(seq), cut(seq + 1)));
+        }
+
+        // ── Dispositivo simulado: interpreta los comandos del protocolo ──
+        const device = {
+            open(l) {
+                link = l;
+            },
+            write(cmd) {
+                const [op, ...rest] = cmd.trim().split(' ');
+                const arg = rest.join(' ');
+                switch (op) {
+                    case 'START': {
+                        if (session) { emit({ type: 'error', msg: 'Sesion ya activa' }); return; }
+                        sessionCount++;
+                        const name = `session_${String(sessionCount).padStart(5, '0')}.csv`;
+                        session = { name, t0: performance.now(), header: csvHeader(), rows: [] };
+                        emit({ type: 'ack', cmd: 'START', msg: name });
+                        break;
+                    }
+                    case 'STOP':
+                        if (!session) { emit({ type: 'error', msg: 'Sin sesion activa' }); return; }
+                        files.push({ name: session.name, date: Date.now(), content: [session.header, ...session.rows].join('\n') + '\n' });
+                        emit({ type: 'ack', cmd: 'STOP', msg: session.name });
+                        session = null;
+                        break;
+                    case 'LIST':
+                        emit({
+                            type: 'list',
+                            files: files.map(f => ({ name: f.name, size: utf8.encode(f.content).length, date: Math.floor(f.date / 1000) })),
+                            card: { total: CARD_BYTES, used: files.reduce((a, f) => a + utf8.encode(f.content).length, 0) }
+                        });
+                        break;
+                    case 'DELETE': {
+                        const idx = files.findIndex(f => f.name === arg.replace(/^\//, ''));
+                        if (idx < 0) { emit({ type: 'error', msg: `Archivo no encontrado: ${arg}` }); return; }
+                        files.splice(idx, 1);
+                        emit({ type: 'ack', cmd: 'DELETE', msg: arg });
+                        break;
+                    }
+                    case 'RENAME': {
+                        const [from, to] = rest;
+                        const file = files.find(f => f.name === (from || '').replace(/^\//, ''));
+                        if (!file || !to) { emit({ type: 'error', msg: `RENAME: archivo no encontrado: ${from}` }); return; }
+                        if (files.some(f => f.name === to)) { emit({ type: 'error', msg: `RENAME: ya existe ${to}` }); return; }
+                        file.name = to;
+                        emit({ type: 'ack', cmd: 'RENAME', msg: `${from} -> ${to}` });
+                        break;
+                    }
+                    case 'READ': {
+                        const file = files.find(f => f.name === arg.replace(/^\//, ''));
+                        if (!file) { emit({ type: 'error', msg: `Archivo no encontrado: ${arg}` }); return; }
+                        emit({ type: 'file_start', name: file.name, size: utf8.encode(file.content).length });
+                        for (let p = 0; p < file.content.length; p += CHUNK) {
+                            const chunk = file.content.slice(p, p + CHUNK).replace(/\n/g, '\\n').replace(/"/g, '\\"');
+                            emit({ type: 'file_data', content: chunk });
+                        }
+                        emit({ type: 'file_end', name: file.name });
+                        break;
+                    }
+                    case 'READ2':
+                    case 'RESEND': {
+                        const [name, spec = '0'] = rest;
+                        const file = files.find(f => f.name === (name || '').replace(/^\//, ''));
+                        if (!file) { emit({ type: 'error', msg: `Archivo no encontrado: ${name}` }); return; }
+                        const bytes = utf8.encode(file.content);
+                        const chunks = Math.ceil(bytes.length / CHUNK_V2);
+                        const crc = crc32(bytes);
+                        const seqs = op === 'READ2'
+                            ? Array.from({ length: Math.max(0, chunks - +spec) }, (_, k) => +spec + k)
+                            : spec.split(',').map(Number);
+                        if (op === 'READ2') emit({ type: 'file_start', name: file.name, size: bytes.length, chunks, chunk_size: CHUNK_V2, crc, from: +spec });
+                        seqs.forEach(seq => {
+                            const data = chunkOf(bytes, seq);
+                            emit({ type: 'file_chunk', seq, data, crc: crc32(data) });
+                        });
+                        emit({ type: 'file_end', name: file.name, chunks, crc });
+                        break;
+                    }
+                    case 'ABORT':
+                        emit({ type: 'ack', cmd: 'ABORT', msg: 'Transferencia cancelada' });
+                        break;
+                    case 'WAVE_ON':
+                    case 'WAVE_OFF':
+                        waveOn = op === 'WAVE_ON';
+                        emit({ type: 'ack', cmd: op, msg: 'OK' });
+                        break;
+                    case 'BIN_ON':
+                    case 'BIN_OFF':
+                        binary = op === 'BIN_ON';
+                        if (!binary) sampleRate = Math.min(sampleRate, JSON_MAX_RATE);
+                        emit({ type: 'ack', cmd: op, msg: `frame=cobs crc=crc32 samples=12bit rate=${sampleRate}` });
+                        break;
+                    case 'WAVE_RATE': {
+                        const hz = parseInt(arg, 10);
+                        if (![1000, 2000, 5000, 10000].includes(hz)) { emit({ type: 'error', msg: `WAVE_RATE: tasa invalida ${arg}` }); return; }
+                        if (hz > JSON_MAX_RATE && !binary) { emit({ type: 'error', msg: 'WAVE_RATE: requiere BIN_ON' }); return; }
+                        sampleRate = hz;
+                        acc = blankAcc();
+                        emit({ type: 'ack', cmd: 'WAVE_RATE', msg: `${hz}` });
+                        break;
+                    }
+                    case 'CAL_GET':
+                        emit({ type: 'cal', ...cal });
+                        break;
+                    case 'CAL_SET': {
+                        const vf = /VOLTAGE_FACTOR=([\d.]+)/.exec(arg), io = /CURRENT_OFFSET=([\d.]+)/.exec(arg);
+                        const vo = /VOLTAGE_OFFSET=([\d.]+)/.exec(arg);
+                        if (!vf || !io || !vo) { emit({ type: 'error', msg: 'CAL_SET: parametros invalidos' }); return; }
+                        cal = { voltage_factor: +vf[1], current_offset: +io[1], voltage_offset: +vo[1] };
+                        acc = blankAcc();
+                        emit({ type: 'ack', cmd: 'CAL_SET', msg: `VOLTAGE_FACTOR=${vf[1]} CURRENT_OFFSET=${io[1]} VOLTAGE_OFFSET=${vo[1]}` });
+                        break;
+                    }
+                    case 'STATUS':
+                        emit({
+                            type: 'status', fw: 'virtual-1.1', caps: ['wave', 'cal', 'read2', 'fs', 'bin'], uid: 'VLAB-0001',
+                            session: session ? session.name : null, wave: waveOn,
+                            msg: `LAB VIRTUAL ${phases === 3 ? '3F ' : ''}${source.voltage}V/${source.freq}Hz, ${loads.filter(l => l.enabled).length} cargas, sesion: ${session ? session.name : 'ninguna'}`
+                        });
+                        break;
+                    default:
+                        emit({ type: 'error', msg: `Comando desconocido: ${op}` });
+                }
+            },
+            close() {
+                clearInterval(timer);
+                timer = null;
+                waveOn = false;
+                binary = false;
+                sampleRate = JSON_MAX_RATE;
+                if (session) device.write('STOP');
+                link = null;
+                updateUI();
+            }
+        };
+
+        // ── Interfaz del banco ──
+        function toggle() {
+            document.getElementById('vlabPanel').classList.toggle('hidden');
+        }
+
+        function power() {
+            if (timer) { SerialManager.disconnect(link.id); return; }
+            if (!SerialManager.connectVirtual(device)) return;
+            // Sensor es posterior a este módulo: los valores de fábrica se toman al encender
+            bench ??= { vOffset: Sensor.V_OFFSET, vFactor: Sensor.V_FACTOR, iOffset: Sensor.I_OFFSET };
+            cal ??= { voltage_factor: bench.vFactor, current_offset: bench.iOffset, voltage_offset: bench.vOffset };
+            phase = 0;
+            acc = blankAcc();
+            lastTick = performance.now();
+            timer = setInterval(tick, 200);
+            emit({ type: 'boot', msg: 'Laboratorio virtual listo' });
+            updateUI();
+        }
+
+        function setSource() {
+            source.voltage = +document.getElementById('vlabVoltage').value;
+            source.freq    = +document.getElementById('vlabFreq').value;
+        }
+
+        // Monofásico o trifásico Y (tensión de fase = source.voltage)
+        function setPhases(n) {
+            const sel = document.getElementById('vlabPhases');
+            if (session) {
+                logSerial('WARN', 'Detenga la sesión del banco antes de cambiar el número de fases');
+                sel.value = phases;
+                return;
+            }
+            phases = +n;
+            acc = blankAcc();
+            document.getElementById('vlabLoadPhase').classList.toggle('hidden', phases === 1);
+            renderLoads();
+        }
+
+        function addLoad() {
+            const type   = document.getElementById('vlabLoadType').value;
+            const rating = parseFloat(document.getElementById('vlabLoadValue').value);
+            const pf     = parseFloat(document.getElementById('vlabLoadPf').value);
+            const ph     = +document.getElementById('vlabLoadPhase').value;
+            if (!(rating > 0)) return;
+            loads.push(buildLoad(type, rating, Math.max(0.05, Math.min(1, pf || 1)), ph));
+            renderLoads();
+        }
+
+        function removeLoad(id) {
+            loads = loads.filter(l => l.id !== id);
+            renderLoads();
+        }
+
+        function toggleLoad(id) {
+            const load = loads.find(l => l.id === id);
+            if (load) load.enabled = !load.enabled;
+            renderLoads();
+        }
+
+        function onTypeChange() {
+            const type = document.getElementById('vlabLoadType').value;
+            document.getElementById('vlabLoadUnit').textContent = LOAD_TYPES[type].unit;
+            document.getElementById('vlabLoadPf').classList.toggle('hidden', type !== 'inductive');
+        }
+
+        function renderLoads() {
+            const container = document.getElementById('vlabLoads');
+            if (loads.length === 0) {
+                container.innerHTML = '<div class="file-empty">Sin cargas — agregue una para ver corriente</div>';
+                return;
+            }
+            container.innerHTML = loads.map(l => `
+                <div class="vlab-load ${l.enabled ? '' : 'vlab-load-off'}">
+                    <input type="checkbox" ${l.enabled ? 'checked' : ''} onchange="VirtualLab.toggleLoad(${l.id})">
+                    <span class="vlab-load-type">${phases === 3 ? `L${l.phase + 1} · ` : ''}${LOAD_TYPES[l.type].label}</span>
+                    <span class="vlab-load-val">${l.rating} ${LOAD_TYPES[l.type].unit}${l.type === 'inductive' ? ` · FP ${l.pf}` : ''}</span>
+                    <button class="log-clear-btn" onclick="VirtualLab.removeLoad(${l.id})">✕</button>
+                </div>
+            `).join('');
+        }
+
+        function updateUI() {
+            const btn = document.getElementById('btnVlabPower');
+            btn.textContent = timer ? 'APAGAR BANCO' : 'ENCENDER BANCO';
+            btn.classList.toggle('vlab-on', !!timer);
+        }
+
+        return { toggle, power, setSource, setPhases, addLoad, removeLoad, toggleLoad, onTypeChange, renderLoads };
+    })();
+
+    // ============================================================
+    //  MÓDULO: MANEJO DE MENSAJES ENTRANTES
+    // ============================================================
+    function handleMessage(msg) {
+        switch (msg.type) {
+            case 'rms': {
+                // Trifásico: medidores principales con V e I promedio y P total
+                if (!msg.phases && ThreePhase.enabled) ThreePhase.reset();
+                const m = msg.phases ? ThreePhase.rms(msg.phases) : msg;
+                const power = (msg.phases ? ThreePhase.realPower() : PowerAnalysis.realPower()) ?? m.power;
+                Gauges.update(m.voltage, m.current, m.power);
+                Trend.push(m.voltage, m.current, m.power);
+                Calibration.rms(msg.phases ? msg.phases[0].voltage : m.voltage);
+                Alarms.evaluate({ voltage: m.voltage, current: m.current, power, frequency: LineMetrics.frequency });
+                break;
+            }
+            case 'wave': {
+                // Formato doble canal { voltage[], current[] }, legado { samples[] } o
+                // trifásico { phases[] }: el osciloscopio y el análisis por canal usan L1
+                if (msg.rate) LineMetrics.setDeviceRate(msg.rate);   // tramas binarias
+                if (msg.phases) ThreePhase.wave(msg.phases);
+                const ch = msg.phases ? msg.phases[0] : msg;
+                Oscilloscope.pushSamples(ch.voltage || ch.samples, ch.current || null);
+                LineMetrics.update((ch.voltage || ch.samples).length);
+                if (ch.current) PowerAnalysis.update(Oscilloscope.latest(Math.round(LineMetrics.sampleRate())));
+                Calibration.feed(ch);
+                Harmonics.update();
+                break;
+            }
+            case 'list':
+                FileManager.renderFileList(msg.files, msg.card);
+                break;
+            case 'file_data':
+                FileManager.receiveFileData(msg.content);
+                break;
+            case 'file_chunk':
+                FileManager.receiveChunk(msg);
+                break;
+            case 'file_start':
+                FileManager.startReceiving(msg);
+                break;
+            case 'file_end':
+                FileManager.finishReceiving(msg);
+                break;
+            case 'cal':
+                Calibration.receive(msg);
+                break;
+            case 'ack':
+                logSerial('ACK', `[${msg.cmd}] ${msg.msg}`);
+                if (msg.cmd === 'START') {
+                    Energy.reset();
+                    document.getElementById('sessionInfo').textContent = `Sesion activa: ${msg.msg}`;
+                    document.getElementById('btnStop').disabled = false;
+                    document.getElementById('btnStart').disabled = true;
+                } else if (msg.cmd === 'STOP') {
+                    document.getElementById('sessionInfo').textContent = 'Sesión finalizada';
+                    document.getElementById('btnStop').disabled = true;
+                    document.getElementById('btnStart').disabled = false;
+                }
+                break;
+            case 'error':
+                logSerial('ERROR', msg.msg);
+                break;
+            case 'status':
+            case 'boot':
+                logSerial('INFO', msg.msg || JSON.stringify(msg));
+                break;
+        }
+    }
+
+    // ============================================================
+    //  MÓDULO: SESIÓN
+    // ============================================================
+    // Los errores ya se registran en el log al llegar ('error' o timeout)
+    const ignore = () => {};
+
+    const Session = {
+        start() { SerialManager.request('START').catch(ignore); },
+        stop()  { SerialManager.request('STOP').catch(ignore); },
+        waveOn() {
+            SerialManager.request('WAVE_ON').catch(ignore);
+            Session.showWave(true);
+        },
+        waveOff() {
+            SerialManager.request('WAVE_OFF').catch(ignore);
+            Session.showWave(false);
+        },
+        // Frecuencia de muestreo de la forma de onda; > 1 kHz requiere el modo binario
+        async setRate(hz) {
+            hz = +hz;
+            if (hz > 1000 && !Framing.enabled && !(await Framing.negotiate(SerialManager.active))) {
+                logSerial('ERROR', 'El firmware no admite modo binario: máximo 1 kHz');
+                document.getElementById('oscRateSel').value = '1000';
+                return;
+            }
+            SerialManager.request(`WAVE_RATE ${hz}`).catch(ignore);
+        },
+        showWave(on) {
+            document.getElementById('btnWaveOn').classList.toggle('hidden', on);
+            document.getElementById('btnWaveOff').classList.toggle('hidden', !on);
+            document.getElementById('oscActive').textContent = on ? '● ACTIVO' : '● INACTIVO';
+            document.getElementById('oscActive').classList.toggle('wave-live', on);
+        },
+        // Estado leído del dispositivo en el handshake (campos undefined: desconocido)
+        sync(state) {
+            if (state.session !== undefined) {
+                document.getElementById('sessionInfo').textContent = state.session ? `Sesion activa: ${state.session}` : 'Sin sesión activa';
+                document.getElementById('btnStart').disabled = !!state.session;
+                document.getElementById('btnStop').disabled = !state.session;
+            }
+            if (state.wave !== undefined) Session.showWave(state.wave);
+        }
+    };
+
+    // ============================================================
+    //  MÓDULO: ENERGÍA Y TARIFAS
+    // ============================================================
+    const Energy = (() => {
+        const STORAGE_KEY = 'ova.tariff';
+        const MAX_GAP_S   = 5;   // huecos mayores (desconexión) no se integran
+
+        const defaults = {
+            mode: 'flat',
+            currency: 'COP',
+            flat: 800,
+            tou: [
+                { from: 0,  to: 18, price: 700 },
+                { from: 18, to: 22, price: 1000 },
+                { from: 22, to: 24, price: 700 },
+            ],
+            tiers: [
+                { upTo: 130,  price: 600 },
+                { upTo: null, price: 900 },
+            ]
+        };
+
+        let tariff = load();
+        let live = createState();  // acumulado de la placa mostrada (link.energy)
+        let lastAnalysis = null;   // { timestamps, powers, startDate } del último CSV
+
+        function createState() {
+            return { wh: 0, byHour: new Array(24).fill(0), lastT: null, lastP: 0, seconds: 0 };
+        }
+
+        function load() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+                if (saved && saved.mode) return { ...structuredClone(defaults), ...saved };
+            } catch (e) { /* configuración corrupta, usar valores por defecto */ }
+            return structuredClone(defaults);
+        }
+
+        function save() {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(tariff));
+        }
+
+        // ── Cálculo de costo ──
+        function priceAt(hour) {
+            const block = tariff.tou.find(b => b.from <= b.to
+                ? hour >= b.from && hour < b.to
+                : hour >= b.from || hour < b.to);
+            return block ? block.price : tariff.flat;
+        }
+
+        function tieredCost(kwh) {
+            let cost = 0, prev = 0;
+            const tiers = [...tariff.tiers].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+            for (const t of tiers) {
+                const top = t.upTo ?? Infinity;
+                if (kwh <= prev) break;
+                cost += (Math.min(kwh, top) - prev) * t.price;
+                prev = top;
+            }
+            return cost;
+        }
+
+        // byHour: Wh por hora del día, o null si no se conoce la hora real
+        function costOf(wh, byHour) {
+            const kwh = wh / 1000;
+            switch (tariff.mode) {
+                case 'tou':
+                    if (!byHour) {
+                        const avg = Array.from({ length: 24 }, (_, h) => priceAt(h)).reduce((a, b) => a + b, 0) / 24;
+                        return kwh * avg;
+                    }
+                    return byHour.reduce((sum, e, h) => sum + e / 1000 * priceAt(h), 0);
+                case 'tiered':
+                    return tieredCost(kwh);
+                default:
+                    return kwh * tariff.flat;
+            }
+        }
+
+        // El escalonado se aplica al consumo mensual; el diario es su fracción
+        function projections(wh, seconds, byHour) {
+            if (seconds <= 0) return { dailyKwh: 0, monthlyKwh: 0, dailyCost: 0, monthlyCost: 0 };
+            const dailyKwh   = wh / 1000 * 86400 / seconds;
+            const monthlyKwh = dailyKwh * 30;
+            const scale      = 86400 * 30 / seconds;
+            const monthlyCost = tariff.mode === 'tiered'
+                ? tieredCost(monthlyKwh)
+                : costOf(wh, byHour) * scale;
+            return { dailyKwh, monthlyKwh, dailyCost: monthlyCost / 30, monthlyCost };
+        }
+
+        function fmtMoney(value) {
+            try {
+                return new Intl.NumberFormat('es', { style: 'currency', currency: tariff.currency, maximumFractionDigits: 2 }).format(value);
+            } catch (e) {
+                return `${value.toFixed(2)} ${tariff.currency}`;
+            }
+        }
+
+        function fmtEnergy(wh) {
+            return wh >= 1000 ? { value: (wh / 1000).toFixed(3), unit: 'kWh' } : { value: wh.toFixed(2), unit: 'Wh' };
+        }
+
+        // ── Integración en vivo (mensajes rms) ──
+        // En una traza `now` es el reloj de la captura: a N× el de pared sería N veces menor.
+        // Al cambiar de reloj (traza ↔ en vivo) el intervalo sale negativo o enorme y se omite.
+        function update(power, now = Date.now(), acc = live) {
+            const dt = (now - acc.lastT) / 1000;
+            if (acc.lastT !== null && dt > 0 && dt <= MAX_GAP_S) {
+                const wh = (power + acc.lastP) / 2 * dt / 3600;
+                acc.wh += wh;
+                acc.seconds += dt;
+                acc.byHour[new Date(now).getHours()] += wh;
+            }
+            acc.lastT = now;
+            acc.lastP = power;
+            if (acc === live) renderLive();
+        }
+
+        // Se reinicia en el mismo objeto: es el que guarda el enlace
+        function reset() {
+            Object.assign(live, createState());
+            renderLive();
+        }
+
+        function attach(state) {
+            live = state;
+            renderLive();
+        }
+
+        function renderLive() {
+            const e = fmtEnergy(live.wh);
+            document.getElementById('energyValue').textContent = e.value;
+            document.getElementById('energyUnit').textContent  = e.unit;
+            document.getElementById('energyCost').textContent  = fmtMoney(costOf(live.wh, live.byHour));
+            const s = Math.floor(live.seconds);
+            document.getElementById('energyTime').textContent =
+                [s / 3600, (s % 3600) / 60, s % 60].map(x => String(Math.floor(x)).padStart(2, '0')).join(':');
+        }
+
+        // ── Integración de un CSV descargado (timestamps en s) ──
+        function integrate(timestamps, powers, startDate) {
+            let wh = 0;
+            const byHour = startDate ? new Array(24).fill(0) : null;
+            for (let k = 1; k < powers.length; k++) {
+                const dt = timestamps[k] - timestamps[k - 1];
+                if (!(dt > 0)) continue;
+                const inc = (powers[k] + powers[k - 1]) / 2 * dt / 3600;
+                wh += inc;
+                if (byHour) byHour[new Date(startDate.getTime() + timestamps[k] * 1000).getHours()] += inc;
+            }
+            const seconds = timestamps.length > 1 ? timestamps[timestamps.length - 1] - timestamps[0] : 0;
+            return { wh, byHour, seconds };
+        }
+
+        function analyzeSession(timestamps, powers, startDate = null) {
+            lastAnalysis = { timestamps, powers, startDate };
+            const { wh, byHour, seconds } = integrate(timestamps, powers, startDate);
+            const cost = costOf(wh, byHour);
+            const proj = projections(wh, seconds, byHour);
+            const e = fmtEnergy(wh);
+
+            document.getElementById('statEnergy').textContent     = e.value;
+            document.getElementById('statEnergyUnit').textContent = e.unit;
+            document.getElementById('statCost').textContent       = fmtMoney(cost);
+            document.getElementById('statDaily').textContent      = proj.dailyKwh.toFixed(2);
+            document.getElementById('statMonthly').textContent    = fmtMoney(proj.monthlyCost);
+            document.getElementById('statMonthlyUnit').textContent = `/mes · ${proj.monthlyKwh.toFixed(1)} kWh`;
+            return { wh, cost, ...proj };
+        }
+
+        // Energía (Wh) de una serie, sin tocar el panel de estadísticas
+        function energyOf(timestamps, powers) {
+            return integrate(timestamps, powers, null).wh;
+        }
+
+        // ── Editor de tarifa ──
+        function toggleSettings() {
+            document.getElementById('tariffSettings').classList.toggle('hidden');
+        }
+
+        function changed() {
+            save();
+            renderEditor();
+            renderLive();
+            if (lastAnalysis) analyzeSession(lastAnalysis.timestamps, lastAnalysis.powers, lastAnalysis.startDate);
+        }
+
+        function setMode(mode)   { tariff.mode = mode; changed(); }
+        function setCurrency(c)  { tariff.currency = c.trim().toUpperCase() || 'COP'; changed(); }
+        function setFlat(price)  { tariff.flat = parseFloat(price) || 0; changed(); }
+
+        function editRow(list, i, key, value) {
+            const row = tariff[list][i];
+            if (!row) return;
+            row[key] = key === 'upTo' && value === '' ? null : parseFloat(value) || 0;
+            changed();
+        }
+
+        function addRow(list) {
+            tariff[list].push(list === 'tou' ? { from: 0, to: 24, price: tariff.flat } : { upTo: null, price: tariff.flat });
+            changed();
+        }
+
+        function removeRow(list, i) {
+            tariff[list].splice(i, 1);
+            changed();
+        }
+
+        function renderEditor() {
+            document.getElementById('tariffMode').value = tariff.mode;
+            document.getElementById('tariffCurrency').value = tariff.currency;
+            const editor = document.getElementById('tariffEditor');
+            const input = (list, i, key, value, attrs = '') =>
+                `<input type="number" class="vlab-input" value="${value ?? ''}" ${attrs} onchange="Energy.editRow('${list}', ${i}, '${key}', this.value)">`;
+
+            if (tariff.mode === 'flat') {
+                editor.innerHTML = `
+                    <div class="vlab-field"><span class="vlab-label">Precio por kWh</span>
+                    <input type="number" class="vlab-input" value="${tariff.flat}" min="0" onchange="Energy.setFlat(this.value)"></div>`;
+            } else if (tariff.mode === 'tou') {
+                editor.innerHTML = tariff.tou.map((b, i) => `
+                    <div class="vlab-field">
+                        <span class="vlab-label">Desde</span>${input('tou', i, 'from', b.from, 'min="0" max="23"')}
+                        <span class="vlab-label">Hasta</span>${input('tou', i, 'to', b.to, 'min="1" max="24"')}
+                        <span class="vlab-label">Precio/kWh</span>${input('tou', i, 'price', b.price, 'min="0"')}
+                        <button class="log-clear-btn" onclick="Energy.removeRow('tou', ${i})">✕</button>
+                    </div>`).join('') +
+                    `<button class="chart-btn" onclick="Energy.addRow('tou')">+ BLOQUE HORARIO</button>`;
+            } else {
+                editor.innerHTML = tariff.tiers.map((t, i) => `
+                    <div class="vlab-field">
+                        <span class="vlab-label">Hasta (kWh/mes)</span>${input('tiers', i, 'upTo', t.upTo, 'min="0" placeholder="∞"')}
+                        <span class="vlab-label">Precio/kWh</span>${input('tiers', i, 'price', t.price, 'min="0"')}
+                        <button class="log-clear-btn" onclick="Energy.removeRow('tiers', ${i})">✕</button>
+                    </div>`).join('') +
+                    `<button class="chart-btn" onclick="Energy.addRow('tiers')">+ TRAMO</button>`;
+            }
+        }
+
+        function init() {
+            renderEditor();
+            renderLive();
+        }
+
+        return {
+            init, createState, attach, update, reset, analyzeSession, energyOf, costOf, fmtMoney, fmtEnergy,
+            toggleSettings, setMode, setCurrency, setFlat, editRow, addRow, removeRow
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: ALARMAS Y EVENTOS DE CALIDAD DE ENERGÍA
+    // ============================================================
+    const Alarms = (() => {
+        const STORAGE_KEY = 'ova.alarms';
+        const METRICS = {
+            voltage:   { label: 'Voltaje',    unit: 'V'  },
+            current:   { label: 'Corriente',  unit: 'A'  },
+            power:     { label: 'Potencia',   unit: 'W'  },
+            frequency: { label: 'Frecuencia', unit: 'Hz' },
+        };
+        // Umbrales IEEE 1159 respecto al voltaje nominal
+        const SAG = 0.9, SWELL = 1.1, INTERRUPTION = 0.1, PQ_HYST = 0.02;
+
+        let config = load();
+        let state = {};          // por regla: { pendingSince, event }
+        let pq = { pendingSince: 0, event: null };
+        let events = [];         // [{ start, end, type, detail, metric, extreme, unit }]
+        let audioCtx = null;
+
+        function load() {
+            const defaults = { nominal: 127, pqEnabled: true, sound: true, rules: [] };
+            try {
+                const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+                if (saved) return { ...defaults, ...saved };
+            } catch (e) { /* configuración corrupta */ }
+            return defaults;
+        }
+
+        function save() {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+        }
+
+        // ── Evaluación (una vez por mensaje rms) ──
+        function evaluate(sample, now = Date.now()) {
+            let changed = false;
+            config.rules.forEach(rule => {
+                if (!rule.enabled) return;
+                const value = sample[rule.metric];
+                if (value === null || value === undefined) return;
+                const st = state[rule.id] || (state[rule.id] = { pendingSince: 0, event: null });
+                const over = rule.cond === 'over';
+                const violated = over ? value > rule.threshold : value < rule.threshold;
+                const cleared  = over ? value < rule.threshold - rule.hyst : value > rule.threshold + rule.hyst;
+                changed = track(st, violated, cleared, value, now, rule.duration, over ? 'max' : 'min', () => ({
+                    type: 'ALARMA',
+                    detail: `${METRICS[rule.metric].label} ${over ? '>' : '<'} ${rule.threshold} ${METRICS[rule.metric].unit}`,
+                    metric: rule.metric,
+                    unit: METRICS[rule.metric].unit,
+                    sound: rule.sound
+                })) || changed;
+            });
+
+            if (config.pqEnabled && sample.voltage !== undefined) {
+                const vn = config.nominal, v = sample.voltage;
+                const out = v < vn * SAG || v > vn * SWELL;
+                const back = v > vn * (SAG + PQ_HYST) && v < vn * (SWELL - PQ_HYST);
+                const dir = v > vn ? 'max' : 'min';
+                changed = track(pq, out, back, v, now, 0, pq.event ? pq.event.dir : dir, () => ({
+                    type: 'CALIDAD', detail: '', metric: 'voltage', unit: 'V', sound: true, dir
+                })) || changed;
+                if (pq.event) pq.event.detail = classify(pq.event);
+            }
+            // La tabla se reconstruye sólo si un evento empezó, terminó o cambió su extremo
+            if (changed) renderEvents();
+        }
+
+        // Máquina de estados común: duración mínima, histéresis y valor extremo.
+        // Devuelve true si cambió algo visible en la tabla de eventos.
+        function track(st, violated, cleared, value, now, minDuration, extremeDir, make) {
+            if (st.event) {
+                const e = st.event;
+                const extreme = extremeDir === 'max' ? Math.max(e.extreme, value) : Math.min(e.extreme, value);
+                const moved = extreme !== e.extreme;
+                e.extreme = extreme;
+                if (cleared) {
+                    e.end = now;
+                    st.event = null;
+                    st.pendingSince = 0;
+                    setAlert(false);
+                    return true;
+                }
+                return moved;
+            }
+            if (!violated) { st.pendingSince = 0; return false; }
+            if (!st.pendingSince) st.pendingSince = now;
+            if (now - st.pendingSince >= minDuration * 1000) {
+                st.event = { start: st.pendingSince, end: null, extreme: value, ...make() };
+                events.unshift(st.event);
+                notify(st.event);
+                return true;
+            }
+            return false;
+        }
+
+        function classify(e) {
+            const vn = config.nominal;
+            if (e.extreme < vn * INTERRUPTION) return 'Interrupción';
+            if (e.extreme < vn * SAG)   return `Hueco (sag) ${(e.extreme / vn * 100).toFixed(0)}%`;
+            if (e.extreme > vn * SWELL) return `Sobretensión (swell) ${(e.extreme / vn * 100).toFixed(0)}%`;
+            return 'Perturbación';
+        }
+
+        // ── Alertas ──
+        function notify(e) {
+            if (e.type === 'CALIDAD') e.detail = classify(e);
+            logSerial('WARN', `Evento: ${e.type} ${e.detail}`);
+            setAlert(true, `${e.type}: ${e.detail}`);
+            if (config.sound && e.sound) beep();
+        }
+
+        function setAlert(on, text = '') {
+            const banner = document.getElementById('alarmBanner');
+            const active = on || events.some(e => e.end === null);
+            banner.classList.toggle('hidden', !active);
+            if (on) banner.textContent = `⚠ ${text}`;
+        }
+
+        function beep() {
+            try {
+                audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+                const osc = audioCtx.createOscillator();
+                const gain = audioCtx.createGain();
+                osc.frequency.value = 880;
+                gain.gain.value = 0.15;
+                osc.connect(gain).connect(audioCtx.destination);
+                osc.start();
+                osc.stop(audioCtx.currentTime + 0.25);
+            } catch (e) { /* sin audio disponible */ }
+        }
+
+        // ── Registro de eventos ──
+        function fmtTime(t) {
+            return new Date(t).toLocaleTimeString('es', { hour12: false });
+        }
+
+        function fmtDuration(e) {
+            const ms = (e.end ?? Date.now()) - e.start;
+            return ms < 60000 ? `${(ms / 1000).toFixed(0)} s` : `${Math.floor(ms / 60000)} min ${Math.round(ms % 60000 / 1000)} s`;
+        }
+
+        function renderEvents() {
+            const body = document.getElementById('eventTable');
+            document.getElementById('eventCount').textContent = events.length;
+            if (events.length === 0) {
+                body.innerHTML = '<tr><td colspan="5" class="event-empty">Sin eventos registrados</td></tr>';
+                return;
+            }
+            body.innerHTML = events.slice(0, 200).map(e => `
+                <tr class="${e.end === null ? 'event-active' : ''} event-${e.type.toLowerCase()}">
+                    <td>${fmtTime(e.start)}</td>
+                    <td>${e.type}</td>
+                    <td>${e.detail}</td>
+                    <td>${e.end === null ? 'en curso' : fmtDuration(e)}</td>
+                    <td>${e.extreme.toFixed(2)} ${e.unit}</td>
+                </tr>`).join('');
+        }
+
+        function exportEvents() {
+            if (events.length === 0) { logSerial('WARN', 'Sin eventos para exportar'); return; }
+            const rows = events.slice().reverse().map(e => [
+                new Date(e.start).toISOString(),
+                e.end ? new Date(e.end).toISOString() : '',
+                e.end ? ((e.end - e.start) / 1000).toFixed(0) : '',
+                e.type, `"${e.detail}"`, e.metric, e.extreme.toFixed(3), e.unit
+            ].join(','));
+            const csv = 'start,end,duration_s,type,detail,metric,extreme,unit\n' + rows.join('\n') + '\n';
+            downloadBlob(csv, 'text/csv', `eventos_${Date.now()}.csv`);
+        }
+
+        function clearEvents() {
+            events = events.filter(e => e.end === null);
+            renderEvents();
+        }
+
+        // ── Editor de reglas ──
+        function addRule() {
+            const threshold = parseFloat(document.getElementById('ruleThreshold').value);
+            if (isNaN(threshold)) return;
+            config.rules.push({
+                id: Date.now(),
+                metric:    document.getElementById('ruleMetric').value,
+                cond:      document.getElementById('ruleCond').value,
+                threshold,
+                hyst:      Math.abs(parseFloat(document.getElementById('ruleHyst').value) || 0),
+                duration:  Math.max(0, parseFloat(document.getElementById('ruleDuration').value) || 0),
+                sound:     true,
+                enabled:   true
+            });
+            save();
+            renderRules();
+        }
+
+        function removeRule(id) {
+            config.rules = config.rules.filter(r => r.id !== id);
+            delete state[id];
+            save();
+            renderRules();
+        }
+
+        function toggleRule(id, key) {
+            const rule = config.rules.find(r => r.id === id);
+            if (rule) rule[key] = !rule[key];
+            save();
+            renderRules();
+        }
+
+        function setNominal(v) {
+            config.nominal = parseFloat(v) || config.nominal;
+            document.getElementById('alarmNominal').value = config.nominal;
+            save();
+        }
+
+        function setOption(key, value) {
+            config[key] = value;
+            save();
+        }
+
+        function renderRules() {
+            const list = document.getElementById('ruleList');
+            document.getElementById('alarmNominal').value = config.nominal;
+            document.getElementById('alarmPq').checked    = config.pqEnabled;
+            document.getElementById('alarmSound').checked = config.sound;
+            if (config.rules.length === 0) {
+                list.innerHTML = '<div class="file-empty">Sin reglas definidas</div>';
+                return;
+            }
+            list.innerHTML = config.rules.map(r => {
+                const m = METRICS[r.metric];
+                return `
+                <div class="vlab-load ${r.enabled ? '' : 'vlab-load-off'}">
+                    <input type="checkbox" ${r.enabled ? 'checked' : ''} onchange="Alarms.toggleRule(${r.id}, 'enabled')">
+                    <span class="vlab-load-type">${m.label} ${r.cond === 'over' ? '>' : '<'} ${r.threshold} ${m.unit}</span>
+                    <span class="vlab-load-val">hist. ${r.hyst} ${m.unit} · ≥ ${r.duration} s</span>
+                    <span>
+                        <button class="log-clear-btn ${r.sound ? 'active' : ''}" title="Alerta sonora" onclick="Alarms.toggleRule(${r.id}, 'sound')">♪</button>
+                        <button class="log-clear-btn" onclick="Alarms.removeRule(${r.id})">✕</button>
+                    </span>
+                </div>`;
+            }).join('');
+        }
+
+        function init() {
+            renderRules();
+            renderEvents();
+        }
+
+        return {
+            init, evaluate, exportEvents, clearEvents, addRule, removeRule, toggleRule, setNominal, setOption,
+            get events() { return events; }
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: CALIBRACIÓN GUIADA (ZMPT101B / ACS712)
+    // ============================================================
+    const Calibration = (() => {
+        const STORAGE_KEY = 'ova.calibration';
+        const CAPTURE_MS  = 5000;
+        const ACK_TIMEOUT = 5000;
+        const STEPS = ['Dispositivo', 'Cero', 'Referencia', 'Enviar', 'Listo'];
+
+        let step = 0;
+        let kit = '';
+        let device = null;       // { voltage_factor, current_offset, voltage_offset } leídos con CAL_GET
+        let zero = null;         // { vOffset, iOffset, n }
+        let capture = null;      // { sumV, sumI, n, until }
+        let result = null;       // { voltage_factor, current_offset, voltage_offset, vref, vcalc }
+        let rmsHistory = [];     // últimos voltajes rms para promediar Vcalc
+        let history = load();
+
+        function load() {
+            try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []; }
+            catch (e) { return []; }
+        }
+
+        function toggle() {
+            document.getElementById('calPanel').classList.toggle('hidden');
+            render();
+        }
+
+        // ── Entradas desde handleMessage ──
+        function receive(msg) {
+            device = { voltage_factor: msg.voltage_factor, current_offset: msg.current_offset, voltage_offset: msg.voltage_offset };
+            logSerial('INFO', `Calibración actual: VOLTAGE_FACTOR=${msg.voltage_factor} CURRENT_OFFSET=${msg.current_offset} VOLTAGE_OFFSET=${msg.voltage_offset ?? '—'}`);
+            render();
+        }
+
+        // Promedio de cuentas ADC crudas (antes de convertir a V/A)
+        function feed(msg) {
+            if (!capture) return;
+            const v = msg.voltage || msg.samples || [];
+            const i = msg.current || [];
+            v.forEach(x => { capture.sumV += x; });
+            i.forEach(x => { capture.sumI += x; });
+            capture.n += v.length;
+            capture.nI += i.length;
+            if (Date.now() >= capture.until) finishZero();
+            else render();
+        }
+
+        function rms(voltage) {
+            rmsHistory.push(voltage);
+            if (rmsHistory.length > 5) rmsHistory.shift();
+            if (step === 2) renderVcalc();
+        }
+
+        // ── Pasos ──
+        function readDevice() {
+            kit = document.getElementById('calKit').value.trim();
+            if (!SerialManager.isConnected) { logSerial('ERROR', 'Conecte el dispositivo para calibrar'); return; }
+            SerialManager.request('CAL_GET').catch(ignore);
+        }
+
+        function startZero() {
+            if (!SerialManager.isConnected) { logSerial('ERROR', 'Conecte el dispositivo para calibrar'); return; }
+            Session.waveOn();
+            capture = { sumV: 0, sumI: 0, n: 0, nI: 0, until: Date.now() + CAPTURE_MS };
+            render();
+        }
+
+        function finishZero() {
+            const c = capture;
+            capture = null;
+            if (c.n === 0 || c.nI === 0) {
+                logSerial('ERROR', 'Sin muestras de ambos canales: verifique el osciloscopio');
+                render();
+                return;
+            }
+            zero = { vOffset: c.sumV / c.n, iOffset: c.sumI / c.nI, n: c.n };
+            render();
+        }
+
+        function vcalc() {
+            return rmsHistory.length ? rmsHistory.reduce((a, b) => a + b, 0) / rmsHistory.length : null;
+        }
+
+        function compute() {
+            const vref = parseFloat(document.getElementById('calVref').value);
+            const vc = vcalc();
+            if (!(vref > 0) || !(vc > 0)) { logSerial('ERROR', 'Ingrese la referencia del multímetro con voltaje presente'); return; }
+            const oldFactor = device ? device.voltage_factor : Sensor.V_FACTOR;
+            result = {
+                voltage_factor: +(oldFactor * vref / vc).toFixed(5),
+                current_offset: +zero.iOffset.toFixed(1),
+                voltage_offset: +zero.vOffset.toFixed(1),
+                vref, vcalc: +vc.toFixed(2)
+            };
+            go(3);
+        }
+
+        function sendToDevice() {
+            document.getElementById('calSendStatus').textContent = 'Esperando confirmación…';
+            // El offset del ZMPT101B también va al firmware: su RMS y la forma de onda del navegador
+            // deben convertir las cuentas con el mismo cero
+            const cmd = `CAL_SET VOLTAGE_FACTOR=${result.voltage_factor} CURRENT_OFFSET=${result.current_offset} VOLTAGE_OFFSET=${result.voltage_offset}`;
+            SerialManager.request(cmd, { timeout: ACK_TIMEOUT })
+                .then(confirmed)
+                .catch(e => {
+                    logSerial('ERROR', `CAL_SET sin confirmación del dispositivo (${e.message})`);
+                    render();
+                });
+        }
+
+        function confirmed() {
+            if (!result) return;
+            Sensor.V_FACTOR = result.voltage_factor;
+            Sensor.I_OFFSET = result.current_offset;
+            Sensor.V_OFFSET = result.voltage_offset;
+            history.unshift({ date: new Date().toISOString(), kit: kit || 'Sin nombre', ...result });
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+            go(4);
+        }
+
+        function go(n) {
+            const kitInput = document.getElementById('calKit');
+            if (kitInput) kit = kitInput.value.trim();
+            step = Math.max(0, Math.min(STEPS.length - 1, n));
+            render();
+        }
+
+        function restart() {
+            zero = null;
+            result = null;
+            go(0);
+        }
+
+        function deleteEntry(i) {
+            history.splice(i, 1);
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+            renderHistory();
+        }
+
+        // ── Render ──
+        function renderVcalc() {
+            const el = document.getElementById('calVcalc');
+            const vc = vcalc();
+            if (el) el.textContent = vc ? `${vc.toFixed(2)} V` : '—';
+        }
+
+        function render() {
+            document.getElementById('calSteps').innerHTML = STEPS.map((name, i) =>
+                `<span class="cal-step ${i === step ? 'active' : ''} ${i < step ? 'done' : ''}">${i + 1}. ${name}</span>`).join('');
+            const body = document.getElementById('calBody');
+            const nav = (back, next, nextEnabled = true) => `
+                <div class="cal-nav">
+                    ${back ? `<button class="chart-btn" onclick="Calibration.go(${step - 1})">← ATRÁS</button>` : ''}
+                    ${next ? `<button class="chart-btn" ${nextEnabled ? '' : 'disabled'} onclick="Calibration.go(${step + 1})">SIGUIENTE →</button>` : ''}
+                </div>`;
+
+            switch (step) {
+                case 0:
+                    body.innerHTML = `
+                        <p class="cal-text">Identifique el kit y lea la calibración guardada en el ESP32 (comando CAL_GET).</p>
+                        <div class="vlab-field">
+                            <span class="vlab-label">Kit / grupo</span>
+                            <input type="text" id="calKit" class="vlab-input cal-kit" value="${esc(kit)}" placeholder="Banco 3">
+                            <button class="chart-btn" onclick="Calibration.readDevice()">LEER CALIBRACIÓN</button>
+                        </div>
+                        <p class="cal-text">${device
+                            ? `Dispositivo: VOLTAGE_FACTOR = <b>${device.voltage_factor}</b> · CURRENT_OFFSET = <b>${device.current_offset}</b> · VOLTAGE_OFFSET = <b>${device.voltage_offset ?? '—'}</b>`
+                            : 'Sin lectura: se usarán los valores actuales del panel.'}</p>
+                        ${nav(false, true)}`;
+                    break;
+                case 1:
+                    body.innerHTML = `
+                        <p class="cal-text">Desconecte toda carga del ACS712 (corriente cero). Se promediarán las cuentas ADC durante ${CAPTURE_MS / 1000} s.</p>
+                        <div class="vlab-field">
+                            <button class="chart-btn" ${capture ? 'disabled' : ''} onclick="Calibration.startZero()">${capture ? 'CAPTURANDO…' : 'CAPTURAR CERO'}</button>
+                            ${capture ? `<span class="vlab-label">${capture.n} muestras</span>` : ''}
+                        </div>
+                        <p class="cal-text">${zero
+                            ? `Offset ACS712 = <b>${zero.iOffset.toFixed(1)}</b> cuentas · Offset ZMPT101B = <b>${zero.vOffset.toFixed(1)}</b> cuentas (${zero.n} muestras)`
+                            : 'Aún sin captura.'}</p>
+                        ${nav(true, true, !!zero)}`;
+                    break;
+                case 2:
+                    body.innerHTML = `
+                        <p class="cal-text">Con el voltaje de red presente, mida con el multímetro y escriba el valor real.</p>
+                        <div class="vlab-field">
+                            <span class="vlab-label">V multímetro</span>
+                            <input type="number" id="calVref" class="vlab-input" step="0.1" value="${result ? result.vref : ''}">
+                            <span class="vlab-label">V calculado (prom. 5 s)</span>
+                            <span class="pq-value" id="calVcalc">—</span>
+                            <button class="chart-btn" onclick="Calibration.compute()">CALCULAR</button>
+                        </div>
+                        ${nav(true, false)}`;
+                    renderVcalc();
+                    break;
+                case 3: {
+                    const oldVf = device ? device.voltage_factor : Sensor.V_FACTOR;
+                    const oldIo = device ? device.current_offset : Sensor.I_OFFSET;
+                    const oldVo = device?.voltage_offset ?? Sensor.V_OFFSET;
+                    body.innerHTML = `
+                        <table class="event-table cal-summary">
+                            <thead><tr><th>Parámetro</th><th>Actual</th><th>Nuevo</th></tr></thead>
+                            <tbody>
+                                <tr><td>VOLTAGE_FACTOR</td><td>${oldVf}</td><td>${result.voltage_factor}</td></tr>
+                                <tr><td>CURRENT_OFFSET</td><td>${oldIo}</td><td>${result.current_offset}</td></tr>
+                                <tr><td>VOLTAGE_OFFSET</td><td>${oldVo}</td><td>${result.voltage_offset}</td></tr>
+                            </tbody>
+                        </table>
+                        <p class="cal-text">Referencia ${result.vref} V vs. calculado ${result.vcalc} V.</p>
+                        <div class="vlab-field">
+                            <button class="ctrl-btn session-btn" onclick="Calibration.sendToDevice()">ENVIAR AL ESP32</button>
+                            <span class="vlab-label" id="calSendStatus"></span>
+                        </div>
+                        ${nav(true, false)}`;
+                    break;
+                }
+                case 4:
+                    body.innerHTML = `
+                        <p class="cal-text">✓ Calibración confirmada por el dispositivo y registrada en el historial.</p>
+                        <button class="chart-btn" onclick="Calibration.restart()">NUEVA CALIBRACIÓN</button>`;
+                    break;
+            }
+            renderHistory();
+        }
+
+        function renderHistory() {
+            const body = document.getElementById('calHistory');
+            if (history.length === 0) {
+                body.innerHTML = '<tr><td colspan="6" class="event-empty">Sin calibraciones registradas</td></tr>';
+                return;
+            }
+            const seen = new Set();
+            body.innerHTML = history.map((h, i) => {
+                const latest = !seen.has(h.kit);
+                seen.add(h.kit);
+                return `
+                <tr class="${latest ? 'cal-latest' : ''}">
+                    <td>${new Date(h.date).toLocaleString('es', { hour12: false })}</td>
+                    <td>${esc(h.kit)}${latest ? ' ●' : ''}</td>
+                    <td>${h.voltage_factor}</td>
+                    <td>${h.current_offset}</td>
+                    <td>${h.vref} V</td>
+                    <td><button class="log-clear-btn" onclick="Calibration.deleteEntry(${i})">✕</button></td>
+                </tr>`;
+            }).join('');
+        }
+
+        return {
+            toggle, receive, feed, rms, readDevice, startZero, compute, sendToDevice, go, restart, deleteEntry
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: GAUGES (Canvas analógico tipo velocímetro)
+    // ============================================================
+    const Gauges = (() => {
+        const configs = {
+            voltage: {
+                canvas: null, ctx: null,
+                min: 0, max: 250, value: 0, targetValue: 0,
+                label: 'V', zones: [
+                    { start: 0,   end: 0.4, color: '#ef4444' },  // rojo: 0-100V
+                    { start: 0.4, end: 0.6, color: '#f59e0b' },  // amarillo: 100-150V
+                    { start: 0.6, end: 0.9, color: '#10b981' },  // verde: 150-225V
+                    { start: 0.9, end: 1.0, color: '#ef4444' },  // rojo: >225V
+                ],
+                displayId: 'valVoltage'
+            },
+            current: {
+                canvas: null, ctx: null,
+                min: 0, max: 20, value: 0, targetValue: 0,
+                label: 'A', zones: [
+                    { start: 0,   end: 0.6, color: '#10b981' },
+                    { start: 0.6, end: 0.8, color: '#f59e0b' },
+                    { start: 0.8, end: 1.0, color: '#ef4444' },
+                ],
+                displayId: 'valCurrent'
+            },
+            power: {
+                canvas: null, ctx: null,
+                min: 0, max: 3000, value: 0, targetValue: 0,
+                label: 'W', zones: [
+                    { start: 0,   end: 0.5, color: '#10b981' },
+                    { start: 0.5, end: 0.75, color: '#f59e0b' },
+                    { start: 0.75, end: 1.0, color: '#ef4444' },
+                ],
+                displayId: 'valPower'
+            }
+        };
+
+        const HOLD_MARKS = [['min', '#60a5fa'], ['avg', '#f3f4f6'], ['max', '#ef4444']];
+        const HOLD_DIGITS = { voltage: 1, current: 2, power: 1 };
+
+        const START_ANGLE = Math.PI * 0.75;
+        const END_ANGLE   = Math.PI * 2.25;
+        const SWEEP       = END_ANGLE - START_ANGLE;
+
+        function drawGauge(cfg) {
+            const canvas = cfg.canvas;
+            const ctx = cfg.ctx;
+            const W = canvas.width, H = canvas.height;
+            const cx = W / 2, cy = H * 0.72;
+            const R = Math.min(W, H * 1.4) * 0.44;
+
+            ctx.clearRect(0, 0, W, H);
+
+            // Fondo del arco (track)
+            ctx.beginPath();
+            ctx.arc(cx, cy, R, START_ANGLE, END_ANGLE);
+            ctx.strokeStyle = '#1a1d23';
+            ctx.lineWidth = 14;
+            ctx.lineCap = 'round';
+            ctx.stroke();
+
+            // Zonas de color
+            cfg.zones.forEach(z => {
+                const sa = START_ANGLE + SWEEP * z.start;
+                const ea = START_ANGLE + SWEEP * z.end;
+                ctx.beginPath();
+                ctx.arc(cx, cy, R, sa, ea);
+                ctx.strokeStyle = z.color + '55';
+                ctx.lineWidth = 14;
+                ctx.stroke();
+            });
+
+            // Arco de valor (animado)
+            const t = (cfg.value - cfg.min) / (cfg.max - cfg.min);
+            const clampT = Math.max(0, Math.min(1, t));
+            const valAngle = START_ANGLE + SWEEP * clampT;
+
+            if (clampT > 0) {
+                // Gradiente dinámico según zona
+                const grad = ctx.createConicalGradient
+                    ? null // no nativo, usar color sólido
+                    : null;
+
+                let arcColor = '#3b82f6';
+                for (const z of cfg.zones) {
+                    if (clampT >= z.start && clampT <= z.end) {
+                        arcColor = z.color;
+                        break;
+                    }
+                }
+
+                ctx.beginPath();
+                ctx.arc(cx, cy, R, START_ANGLE, valAngle);
+                ctx.strokeStyle = arcColor;
+                ctx.lineWidth = 14;
+                ctx.lineCap = 'round';
+                ctx.shadowColor = arcColor;
+                ctx.shadowBlur = 12;
+                ctx.stroke();
+                ctx.shadowBlur = 0;
+            }
+
+            // Marcas de mínimo, promedio y máximo retenidos (Trend)
+            if (cfg.hold) {
+                HOLD_MARKS.forEach(([key, color]) => {
+                    const f = Math.max(0, Math.min(1, (cfg.hold[key] - cfg.min) / (cfg.max - cfg.min)));
+                    const a = START_ANGLE + SWEEP * f;
+                    ctx.beginPath();
+                    ctx.moveTo(cx + Math.cos(a) * (R - 10), cy + Math.sin(a) * (R - 10));
+                    ctx.lineTo(cx + Math.cos(a) * (R + 10), cy + Math.sin(a) * (R + 10));
+                    ctx.strokeStyle = color;
+                    ctx.lineWidth = 2;
+                    ctx.lineCap = 'butt';
+                    ctx.stroke();
+                });
+            }
+
+            // Marcas de escala
+            const ticks = 10;
+            for (let i = 0; i <= ticks; i++) {
+                const a = START_ANGLE + SWEEP * (i / ticks);
+                const isMain = i % 2 === 0;
+                const r1 = R + 8, r2 = isMain ? R + 18 : R + 13;
+                ctx.beginPath();
+                ctx.moveTo(cx + Math.cos(a) * r1, cy + Math.sin(a) * r1);
+                ctx.lineTo(cx + Math.cos(a) * r2, cy + Math.sin(a) * r2);
+                ctx.strokeStyle = isMain ? '#6b7280' : '#374151';
+                ctx.lineWidth = isMain ? 2 : 1;
+                ctx.stroke();
+
+                if (isMain) {
+                    const val = cfg.min + (cfg.max - cfg.min) * (i / ticks);
+                    const tx = cx + Math.cos(a) * (r2 + 12);
+                    const ty = cy + Math.sin(a) * (r2 + 12);
+                    ctx.fillStyle = '#6b7280';
+                    ctx.font = `bold 9px 'Share Tech Mono', monospace`;
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'middle';
+                    const label = val >= 1000 ? (val/1000).toFixed(1)+'k'
+                        : (cfg.max - cfg.min) < 10 ? +val.toFixed(1) : Math.round(val);
+                    ctx.fillText(label, tx, ty);
+                }
+            }
+
+            // AGUJA
+            const needleAngle = START_ANGLE + SWEEP * clampT;
+            const needleLen = R - 8;
+            const needleBase = 6;
+
+            // Sombra de aguja
+            ctx.save();
+            ctx.shadowColor = 'rgba(0,0,0,0.6)';
+            ctx.shadowBlur = 6;
+            ctx.shadowOffsetX = 2;
+            ctx.shadowOffsetY = 2;
+
+            ctx.beginPath();
+            ctx.moveTo(
+                cx + Math.cos(needleAngle - 0.08) * needleBase,
+                cy + Math.sin(needleAngle - 0.08) * needleBase
+            );
+            ctx.lineTo(
+                cx + Math.cos(needleAngle) * needleLen,
+                cy + Math.sin(needleAngle) * needleLen
+            );
+            ctx.lineTo(
+                cx + Math.cos(needleAngle + 0.08) * needleBase,
+                cy + Math.sin(needleAngle + 0.08) * needleBase
+            );
+            ctx.closePath();
+            ctx.fillStyle = '#f3f4f6';
+            ctx.fill();
+            ctx.restore();
+
+            // Perno central
+            ctx.beginPath();
+            ctx.arc(cx, cy, 7, 0, Math.PI * 2);
+            ctx.fillStyle = '#374151';
+            ctx.fill();
+            ctx.beginPath();
+            ctx.arc(cx, cy, 4, 0, Math.PI * 2);
+            ctx.fillStyle = '#9ca3af';
             ctx.fill();
+        }
+
+        // Medidores por fase (modo trifásico): mismo rango y zonas que V e I
+        const phaseGauges = [1, 2, 3].flatMap(n => ['voltage', 'current'].map(key => ({ key, n, canvas: null, ctx: null, value: 0, targetValue: 0 })));
+        let phasesOn = false;
+
+        function animate() {
+            Object.values(configs).forEach(cfg => {
+                // Suavizado exponencial
+                cfg.value += (cfg.targetValue - cfg.value) * 0.12;
+                drawGauge(cfg);
+            });
+            if (phasesOn) phaseGauges.forEach(g => {
+                g.value += (g.targetValue - g.value) * 0.12;
+                drawGauge({ ...configs[g.key], canvas: g.canvas, ctx: g.ctx, value: g.value, hold: null });
+            });
+            requestAnimationFrame(animate);
+        }
+
+        function init() {
+            ['voltage', 'current', 'power'].forEach(key => {
+                const cfg = configs[key];
+                cfg.canvas = document.getElementById(`gauge${key.charAt(0).toUpperCase() + key.slice(1)}`);
+                cfg.ctx    = cfg.canvas.getContext('2d');
+            });
+            phaseGauges.forEach(g => {
+                g.canvas = document.getElementById(`gaugeL${g.n}${g.key === 'voltage' ? 'V' : 'I'}`);
+                g.ctx    = g.canvas.getContext('2d');
+            });
+            animate();
+        }
+
+        function update(v, i, p) {
+            configs.voltage.targetValue = v;
+            configs.current.targetValue = i;
+            configs.power.targetValue   = p;
+
+            document.getElementById('valVoltage').innerHTML = `${v.toFixed(1)}<span class="gauge-unit">V</span>`;
+            document.getElementById('valCurrent').innerHTML = `${i.toFixed(2)}<span class="gauge-unit">A</span>`;
+            document.getElementById('valPower').innerHTML   = `${p.toFixed(1)}<span class="gauge-unit">W</span>`;
+        }
+
+        // hold: { min, avg, max } desde el último reinicio, o null para quitar las marcas
+        function setHold(key, hold) {
+            configs[key].hold = hold;
+            const d = HOLD_DIGITS[key];
+            document.getElementById(`hold${key.charAt(0).toUpperCase() + key.slice(1)}`).textContent = hold
+                ? `mín ${hold.min.toFixed(d)} · prom ${hold.avg.toFixed(d)} · máx ${hold.max.toFixed(d)}`
+                : '—';
+        }
+
+        // phases: [{ voltage, current, power }×3], o null para volver a monofásico
+        function updatePhases(phases) {
+            phasesOn = !!phases;
+            if (!phases) return;
+            phaseGauges.forEach(g => { g.targetValue = phases[g.n - 1][g.key]; });
+            phases.forEach((ph, k) => {
+                document.getElementById(`valL${k + 1}V`).innerHTML = `${ph.voltage.toFixed(1)}<span class="gauge-unit">V</span>`;
+                document.getElementById(`valL${k + 1}I`).innerHTML = `${ph.current.toFixed(2)}<span class="gauge-unit">A</span>`;
+                document.getElementById(`valL${k + 1}P`).textContent = `${ph.power.toFixed(1)} W`;
+            });
+        }
+
+        // Rango y zonas (fracciones 0-1 del recorrido)
+        function configure(key, { min, max, zones }) {
+            const cfg = configs[key];
+            if (!cfg) return;
+            cfg.min = min;
+            cfg.max = max;
+            cfg.zones = zones;
+        }
+
+        return { init, update, updatePhases, setHold, configure };
+    })();
+
+    // ============================================================
+    //  MÓDULO: AJUSTES (perfiles de red/sensor y escalas de gauges)
+    // ============================================================
+    const Settings = (() => {
+        const STORAGE_KEY = 'ova.settings';
+        const GRID_PROFILES = {
+            '127':    { label: '127 V / 60 Hz', nominal: 127 },
+            '220':    { label: '220 V / 60 Hz', nominal: 220 },
+            '230-50': { label: '230 V / 50 Hz', nominal: 230 },
+        };
+        const SENSOR_PROFILES = {
+            acs5:  { label: 'ACS712-05B (5 A)',  max: 5,  mvPerA: 185 },
+            acs20: { label: 'ACS712-20A (20 A)', max: 20, mvPerA: 100 },
+            acs30: { label: 'ACS712-30A (30 A)', max: 30, mvPerA: 66  },
+        };
+        const GAUGES = {
+            voltage: { label: 'Voltaje',   unit: 'V' },
+            current: { label: 'Corriente', unit: 'A' },
+            power:   { label: 'Potencia',  unit: 'W' },
+        };
+        const RED = '#ef4444', AMBER = '#f59e0b', GREEN = '#10b981';
+
+        let settings = null;
+
+        // Máximo "redondo" para la escala del gauge
+        function niceMax(x) {
+            const base = Math.pow(10, Math.floor(Math.log10(x)));
+            for (const m of [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10]) if (x <= m * base) return m * base;
+            return 10 * base;
+        }
+
+        // Zonas en unidades de ingeniería derivadas del perfil
+        function profileGauges(gridKey, sensorKey) {
+            const vn = GRID_PROFILES[gridKey].nominal;
+            const imax = SENSOR_PROFILES[sensorKey].max;
+            const vmax = niceMax(vn * 1.5);
+            const pmax = niceMax(vn * imax);
+            return {
+                voltage: { min: 0, max: vmax, zones: [
+                    { from: 0,          to: vn * 0.8,  color: RED },
+                    { from: vn * 0.8,   to: vn * 0.9,  color: AMBER },
+                    { from: vn * 0.9,   to: vn * 1.1,  color: GREEN },
+                    { from: vn * 1.1,   to: vn * 1.15, color: AMBER },
+                    { from: vn * 1.15,  to: vmax,      color: RED },
+                ] },
+                current: { min: 0, max: imax, zones: [
+                    { from: 0,          to: imax * 0.6, color: GREEN },
+                    { from: imax * 0.6, to: imax * 0.8, color: AMBER },
+                    { from: imax * 0.8, to: imax,       color: RED },
+                ] },
+                power: { min: 0, max: pmax, zones: [
+                    { from: 0,           to: pmax * 0.5,  color: GREEN },
+                    { from: pmax * 0.5,  to: pmax * 0.75, color: AMBER },
+                    { from: pmax * 0.75, to: pmax,        color: RED },
+                ] },
+            };
+        }
+
+        function defaults() {
+            return { grid: '127', sensor: 'acs20', gauges: profileGauges('127', 'acs20') };
+        }
+
+        function valid(s) {
+            return s && GRID_PROFILES[s.grid] && SENSOR_PROFILES[s.sensor] && s.gauges
+                && Object.keys(GAUGES).every(k => s.gauges[k] && s.gauges[k].max > s.gauges[k].min && Array.isArray(s.gauges[k].zones));
+        }
+
+        function load() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+                if (valid(saved)) return saved;
+            } catch (e) { /* configuración corrupta */ }
+            return defaults();
+        }
+
+        function save() {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        }
+
+        // Aplicar al sistema: escalas de gauges, sensibilidad del sensor y Vn de alarmas
+        function apply() {
+            Object.entries(settings.gauges).forEach(([key, g]) => {
+                const span = g.max - g.min;
+                Gauges.configure(key, {
+                    min: g.min,
+                    max: g.max,
+                    zones: g.zones.map(z => ({
+                        start: Math.max(0, Math.min(1, (z.from - g.min) / span)),
+                        end:   Math.max(0, Math.min(1, (z.to   - g.min) / span)),
+                        color: z.color
+                    }))
+                });
+            });
+            Sensor.I_COUNTS_PER_A = SENSOR_PROFILES[settings.sensor].mvPerA / 1000 / (3.3 / Sensor.ADC_MAX);
+            save();
+        }
+
+        function applyProfile() {
+            settings.grid   = document.getElementById('setGrid').value;
+            settings.sensor = document.getElementById('setSensor').value;
+            settings.gauges = profileGauges(settings.grid, settings.sensor);
+            Alarms.setNominal(GRID_PROFILES[settings.grid].nominal);
+            apply();
+            render();
+            logSerial('SISTEMA', `Perfil: ${GRID_PROFILES[settings.grid].label}, ${SENSOR_PROFILES[settings.sensor].label}`);
+        }
+
+        // ── Edición manual ──
+        function setRange(key, field, value) {
+            const g = settings.gauges[key];
+            const v = parseFloat(value);
+            if (isNaN(v)) return;
+            const next = { ...g, [field]: v };
+            if (next.max <= next.min) { render(); return; }
+            g[field] = v;
+            apply();
+        }
+
+        function setZone(key, i, field, value) {
+            const zone = settings.gauges[key].zones[i];
+            if (!zone) return;
+            zone[field] = field === 'color' ? value : parseFloat(value) || 0;
+            apply();
+        }
+
+        function addZone(key) {
+            const g = settings.gauges[key];
+            const last = g.zones[g.zones.length - 1];
+            g.zones.push({ from: last ? last.to : g.min, to: g.max, color: AMBER });
+            apply();
+            render();
+        }
+
+        function removeZone(key, i) {
+            settings.gauges[key].zones.splice(i, 1);
+            apply();
+            render();
+        }
+
+        function toggle() {
+            document.getElementById('settingsPanel').classList.toggle('hidden');
+        }
+
+        // ── Exportar / importar JSON ──
+        function exportJSON() {
+            downloadBlob(JSON.stringify(settings, null, 2), 'application/json', 'ova_ajustes.json');
+        }
+
+        async function importJSON(file) {
+            if (!file) return;
+            try {
+                const parsed = JSON.parse(await file.text());
+                if (!valid(parsed)) throw new Error('estructura inválida');
+                settings = parsed;
+                apply();
+                render();
+                logSerial('SISTEMA', `Ajustes importados: ${file.name}`);
+            } catch (e) {
+                logSerial('ERROR', `No se pudo importar ${file.name}: ${e.message}`);
+            }
+        }
+
+        function reset() {
+            settings = defaults();
+            apply();
+            render();
+        }
+
+        function render() {
+            document.getElementById('setGrid').value   = settings.grid;
+            document.getElementById('setSensor').value = settings.sensor;
+            const fmt = v => +v.toFixed(2);
+            document.getElementById('gaugeEditor').innerHTML = Object.entries(GAUGES).map(([key, meta]) => {
+                const g = settings.gauges[key];
+                return `
+                <div class="gauge-edit">
+                    <div class="vlab-field">
+                        <span class="vlab-load-type">${meta.label}</span>
+                        <span class="vlab-label">Mín</span>
+                        <input type="number" class="vlab-input" value="${fmt(g.min)}" onchange="Settings.setRange('${key}', 'min', this.value)">
+                        <span class="vlab-label">Máx</span>
+                        <input type="number" class="vlab-input" value="${fmt(g.max)}" onchange="Settings.setRange('${key}', 'max', this.value)">
+                        <span class="vlab-label">${meta.unit}</span>
+                    </div>
+                    ${g.zones.map((z, i) => `
+                    <div class="vlab-field">
+                        <input type="color" class="zone-color" value="${z.color}" onchange="Settings.setZone('${key}', ${i}, 'color', this.value)">
+                        <input type="number" class="vlab-input" value="${fmt(z.from)}" onchange="Settings.setZone('${key}', ${i}, 'from', this.value)">
+                        <span class="vlab-label">→</span>
+                        <input type="number" class="vlab-input" value="${fmt(z.to)}" onchange="Settings.setZone('${key}', ${i}, 'to', this.value)">
+                        <button class="log-clear-btn" onclick="Settings.removeZone('${key}', ${i})">✕</button>
+                    </div>`).join('')}
+                    <button class="chart-btn" onclick="Settings.addZone('${key}')">+ ZONA</button>
+                </div>`;
+            }).join('');
+        }
+
+        function init() {
+            const opts = profiles => Object.entries(profiles).map(([k, p]) => `<option value="${k}">${p.label}</option>`).join('');
+            document.getElementById('setGrid').innerHTML   = opts(GRID_PROFILES);
+            document.getElementById('setSensor').innerHTML = opts(SENSOR_PROFILES);
+            settings = load();
+            apply();
+            render();
+        }
+
+        return {
+            init, toggle, applyProfile, setRange, setZone, addZone, removeZone, exportJSON, importJSON, reset,
+            get nominalVoltage() { return GRID_PROFILES[settings.grid].nominal; },
+            get profileLabel() { return `${GRID_PROFILES[settings.grid].label} · ${SENSOR_PROFILES[settings.sensor].label}`; }
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: SENSORES (conversión de cuentas ADC)
+    // ============================================================
+    const Sensor = {
+        ADC_MAX: 4095,
+        V_OFFSET: 1918,                      // ADC en reposo del ZMPT101B
+        V_FACTOR: 0.2247,                    // V por cuenta (VOLTAGE_FACTOR del firmware)
+        I_OFFSET: 2048,                      // CURRENT_OFFSET del firmware
+        I_COUNTS_PER_A: 0.1 / (3.3 / 4095),  // ACS712-20A: 100 mV/A sobre ADC 12-bit
+        volts(raw) { return (raw - this.V_OFFSET) * this.V_FACTOR; },
+        amps(raw)  { return (raw - this.I_OFFSET) / this.I_COUNTS_PER_A; }
+    };
+
+    // ============================================================
+    //  MÓDULO: OSCILOSCOPIO (Canvas optimizado)
+    // ============================================================
+    const Oscilloscope = (() => {
+        const MAX_POINTS  = 24000;   // 2,4 s a 10 kHz: cubre 100 ms/div con margen para el disparo
+        const COLS = 10, ROWS = 6;
+        let canvas, ctx;
+        let waveData    = new Float32Array(MAX_POINTS);   // voltaje (V)
+        let currentData = new Float32Array(MAX_POINTS);   // corriente (A)
+        let hasCurrent = false;
+        let writePos = 0;
+        let totalPushed = 0;
+        let owner = null;                                 // link.scope de la placa mostrada
+        let running = false;
+
+        // Controles (escalas por división; 0 = automático)
+        const settings = { timebase: 20, vDiv: 0, iDiv: 0, edge: 'rising', level: 0 };
+        let mode = 'run';          // run | stop | single
+        let frozen = null;         // vista congelada (stop / single)
+        let armPos = 0;            // writePos al armar el disparo único
+        const cursors = { on: false, a: 0.25, b: 0.6, drag: null };
+        let lastView = null;
+
+        function init() {
+            canvas = document.getElementById('oscCanvas');
+            ctx = canvas.getContext('2d');
+            // Esperar a que el contenedor tenga dimensiones reales
+            setTimeout(() => {
+                resize();
+                drawIdle();
+            }, 100);
+            window.addEventListener('resize', () => {
+                resize();
+            });
+
+            canvas.addEventListener('mousedown', e => {
+                if (!cursors.on) return;
+                const f = pointerFrac(e);
+                const da = Math.abs(f - cursors.a), db = Math.abs(f - cursors.b);
+                if (Math.min(da, db) * canvas.clientWidth > 8) return;
+                cursors.drag = da <= db ? 'a' : 'b';
+            });
+            window.addEventListener('mousemove', e => {
+                if (!cursors.drag) return;
+                cursors[cursors.drag] = Math.max(0, Math.min(1, pointerFrac(e)));
+                if (!running) draw();
+            });
+            window.addEventListener('mouseup', () => { cursors.drag = null; });
+        }
+
+        function pointerFrac(e) {
+            const rect = canvas.getBoundingClientRect();
+            return rect.width ? (e.clientX - rect.left) / rect.width : 0;
+        }
+
+        function resize() {
+            const container = canvas.parentElement;
+            const w = container.clientWidth;
+            const h = container.clientHeight;
+            if (w > 0 && h > 0) {
+                canvas.width  = w;
+                canvas.height = h;
+            }
+        }
+
+        function pushSamples(samples, currentSamples = null) {
+            hasCurrent = !!currentSamples;
+            samples.forEach((raw, k) => {
+                // Convertir cuentas ADC a unidades de ingeniería
+                const pos = writePos % MAX_POINTS;
+                waveData[pos]    = Sensor.volts(raw);
+                currentData[pos] = currentSamples ? Sensor.amps(currentSamples[k]) : 0;
+                writePos++;
+                totalPushed++;
+            });
+            if (!running) {
+                running = true;
+                requestAnimationFrame(draw);
+            }
+        }
+
+        // Cada placa tiene su búfer: no se mezclan muestras de dos fuentes
+        function createState() {
+            return {
+                waveData: new Float32Array(MAX_POINTS), currentData: new Float32Array(MAX_POINTS),
+                hasCurrent: false, writePos: 0, totalPushed: 0
+            };
+        }
+
+        function attach(state) {
+            if (owner) Object.assign(owner, { waveData, currentData, hasCurrent, writePos, totalPushed });
+            owner = state;
+            ({ waveData, currentData, hasCurrent, writePos, totalPushed } = state);
+            frozen = null;
+            lastView = null;
+            if (!canvas) return;
+            if (totalPushed) draw(); else drawIdle();
+        }
+
+        // Copia ordenada (antigua → reciente) de las últimas n muestras
+        function latest(n) {
+            const count = Math.min(n, totalPushed, MAX_POINTS);
+            return copyRange(writePos - count, count);
+        }
+
+        // Copia desde la posición absoluta `from` (writePos es monótono)
+        function copyRange(from, count) {
+            const voltage = new Float32Array(count);
+            const current = hasCurrent ? new Float32Array(count) : null;
+            for (let k = 0; k < count; k++) {
+                const idx = (from + k) % MAX_POINTS;
+                voltage[k] = waveData[idx];
+                if (current) current[k] = currentData[idx];
+            }
+            return { voltage, current };
+        }
+
+        // Escala "redonda" (1-2-5) que contiene el pico
+        function niceScale(peak) {
+            if (!(peak > 0)) return 1;
+            const base = Math.pow(10, Math.floor(Math.log10(peak)));
+            for (const m of [1, 2, 5, 10]) if (peak <= m * base) return m * base;
+            return 10 * base;
+        }
+
+        // ── Adquisición con disparo ──
+        function windowSamples() {
+            return Math.min(MAX_POINTS, Math.max(2, Math.round(settings.timebase * COLS * LineMetrics.sampleRate() / 1000)));
+        }
+
+        function findTrigger(n, pre, after) {
+            if (settings.edge === 'off') return -1;
+            const oldest = writePos - Math.min(totalPushed, MAX_POINTS);
+            const rising = settings.edge === 'rising';
+            // El disparo más reciente que aún deja la ventana completa a su derecha
+            for (let k = writePos - (n - pre); k > Math.max(oldest + pre, after); k--) {
+                const a = waveData[(k - 1) % MAX_POINTS], b = waveData[k % MAX_POINTS];
+                if (rising ? (a < settings.level && b >= settings.level)
+                           : (a > settings.level && b <= settings.level)) return k;
+            }
+            return -1;
+        }
+
+        function acquire() {
+            const avail = Math.min(totalPushed, MAX_POINTS);
+            if (avail < 2) return null;
+            const n = Math.min(windowSamples(), avail);
+            const pre = Math.round(n / COLS);   // disparo a una división del borde izquierdo
+            const trig = findTrigger(n, pre, mode === 'single' ? armPos : -Infinity);
+            if (mode === 'single' && trig < 0) return null;
+            const from = trig >= 0 ? trig - pre : writePos - n;
+            return { ...copyRange(from, n), n, triggered: trig >= 0, pre };
+        }
+
+        function drawGrid(W, H) {
+            // Fondo
+            ctx.fillStyle = '#08090d';
+            ctx.fillRect(0, 0, W, H);
+
+            // Grilla vertical y horizontal
+            ctx.strokeStyle = 'rgba(40,46,58,0.9)';
+            ctx.lineWidth = 1;
+            const cols = COLS, rows = ROWS;
+            for (let i = 0; i <= cols; i++) {
+                const x = Math.round((W / cols) * i) + 0.5;
+                ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke();
+            }
+            for (let i = 0; i <= rows; i++) {
+                const y = Math.round((H / rows) * i) + 0.5;
+                ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke();
+            }
+
+            // Línea central más visible
+            ctx.strokeStyle = 'rgba(59,130,246,0.2)';
+            ctx.lineWidth = 1;
             ctx.beginPath();
-            ctx.arc(cx, cy, 4, 0, Math.PI * 2);
-            ctx.fillStyle = '#9ca3af';
-            ctx.fill();
+            ctx.moveTo(0, H / 2);
+            ctx.lineTo(W, H / 2);
+            ctx.stroke();
+        }
+
+        function drawIdle() {
+            if (!canvas.width || !canvas.height) { resize(); }
+            const W = canvas.width, H = canvas.height;
+            if (!W || !H) return;
+            drawGrid(W, H);
+            // Texto de espera
+            ctx.fillStyle = 'rgba(100,116,139,0.6)';
+            ctx.font = '12px "Share Tech Mono", monospace';
+            ctx.textAlign = 'center';
+            ctx.fillText('Esperando datos — pulse OSCILOSCOPIO ON', W / 2, H / 2 + 30);
+            ctx.textAlign = 'left';
+        }
+
+        function drawTraces(view, W, H) {
+            const traces = [{ data: view.voltage, color: '#3b82f6', unit: 'V', div: settings.vDiv, align: 'left' }];
+            if (view.current) traces.push({ data: view.current, color: '#10b981', unit: 'A', div: settings.iDiv, align: 'right' });
+
+            ctx.font = '10px "Share Tech Mono", monospace';
+            traces.forEach((tr, t) => {
+                let perDiv = tr.div;
+                if (!perDiv) {
+                    let peak = 0;
+                    for (let i = 0; i < view.n; i++) peak = Math.max(peak, Math.abs(tr.data[i]));
+                    perDiv = niceScale(peak / (ROWS / 2));
+                }
+                tr.perDiv = perDiv;
+                const full = perDiv * ROWS / 2;
+
+                ctx.beginPath();
+                ctx.strokeStyle = tr.color;
+                ctx.lineWidth   = 1.5;
+                ctx.shadowColor = tr.color;
+                ctx.shadowBlur  = 6;
+                ctx.lineJoin    = 'round';
+                const yOf = v => H / 2 - (v / full) * (H / 2);
+                if (view.n > 2 * W) {
+                    // Muchas más muestras que píxeles: trazar mín/máx por columna
+                    for (let x = 0; x < W; x++) {
+                        const a = Math.floor(x * view.n / W), b = Math.max(a + 1, Math.floor((x + 1) * view.n / W));
+                        let lo = Infinity, hi = -Infinity;
+                        for (let i = a; i < b; i++) { lo = Math.min(lo, tr.data[i]); hi = Math.max(hi, tr.data[i]); }
+                        if (x === 0) ctx.moveTo(x, yOf(hi));
+                        else         ctx.lineTo(x, yOf(hi));
+                        ctx.lineTo(x, yOf(lo));
+                    }
+                } else {
+                    for (let i = 0; i < view.n; i++) {
+                        const x = (i / (view.n - 1)) * W;
+                        if (i === 0) ctx.moveTo(x, yOf(tr.data[i]));
+                        else         ctx.lineTo(x, yOf(tr.data[i]));
+                    }
+                }
+                ctx.stroke();
+                ctx.shadowBlur = 0;
+
+                // Etiquetas de divisiones verticales
+                ctx.fillStyle = tr.color;
+                ctx.textAlign = tr.align;
+                const xLabel = tr.align === 'left' ? 4 : W - 4;
+                for (let r = 1; r < ROWS; r++) {
+                    ctx.fillText(fmtEng((ROWS / 2 - r) * perDiv, tr.unit), xLabel, (H / ROWS) * r - 3);
+                }
+                ctx.fillText(`CH${t + 1} ${fmtEng(perDiv, tr.unit)}/div`, xLabel, 12);
+            });
+            ctx.textAlign = 'left';
+            return traces;
+        }
+
+        function drawTimeLabels(view, W, H, vPerDiv) {
+            ctx.fillStyle = '#6b7280';
+            ctx.font = '10px "Share Tech Mono", monospace';
+            ctx.textAlign = 'center';
+            const t0 = view.triggered ? -view.pre : 0;
+            for (let c = 1; c < COLS; c++) {
+                const t = (t0 + c * view.n / COLS) / LineMetrics.sampleRate();
+                ctx.fillText(fmtEng(t, 's'), (W / COLS) * c, H - 4);
+            }
+            ctx.textAlign = 'left';
+
+            // Marca de disparo
+            if (view.triggered) {
+                const x = (view.pre / (view.n - 1)) * W;
+                const y = H / 2 - settings.level / (vPerDiv * ROWS / 2) * (H / 2);
+                ctx.strokeStyle = 'rgba(245,158,11,0.5)';
+                ctx.setLineDash([2, 3]);
+                ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.fillStyle = '#f59e0b';
+                ctx.beginPath(); ctx.moveTo(0, y - 4); ctx.lineTo(6, y); ctx.lineTo(0, y + 4); ctx.fill();
+            }
+        }
+
+        function drawCursors(view, W, H) {
+            ctx.strokeStyle = '#f59e0b';
+            ctx.fillStyle   = '#f59e0b';
+            ctx.setLineDash([4, 4]);
+            ctx.font = '10px "Share Tech Mono", monospace';
+            ['a', 'b'].forEach(k => {
+                const x = Math.round(cursors[k] * W) + 0.5;
+                ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke();
+                ctx.fillText(k.toUpperCase(), x + 3, 26);
+            });
+            ctx.setLineDash([]);
+            updateReadout(view);
+        }
+
+        function updateReadout(view) {
+            const out = document.getElementById('oscCursorInfo');
+            if (!cursors.on || !view) { out.textContent = ''; return; }
+            const ja = Math.round(cursors.a * (view.n - 1)), jb = Math.round(cursors.b * (view.n - 1));
+            const dt = Math.abs(jb - ja) / LineMetrics.sampleRate();
+            const parts = [
+                `Δt ${fmtEng(dt, 's')}`,
+                `1/Δt ${dt > 0 ? fmtEng(1 / dt, 'Hz') : '—'}`,
+                `ΔV ${fmtEng(view.voltage[jb] - view.voltage[ja], 'V')}`
+            ];
+            if (view.current) parts.push(`ΔI ${fmtEng(view.current[jb] - view.current[ja], 'A')}`);
+            out.textContent = parts.join('  ·  ');
+        }
+
+        function draw() {
+            running = false;
+
+            // Re-sincronizar tamaño si cambió
+            const container = canvas.parentElement;
+            if (canvas.width !== container.clientWidth && container.clientWidth > 0) {
+                canvas.width  = container.clientWidth;
+                canvas.height = container.clientHeight;
+            }
+
+            const W = canvas.width, H = canvas.height;
+            if (!W || !H) return;
+
+            drawGrid(W, H);
+
+            let view = frozen;
+            if (!view && mode !== 'stop') {
+                view = acquire();
+                if (view && mode === 'single') {
+                    frozen = view;
+                    setMode('stop');
+                }
+            }
+            // Sin disparo nuevo (single armado) se mantiene la última traza
+            if (!view) view = lastView;
+            if (view && view.n >= 2) {
+                lastView = view;
+                const traces = drawTraces(view, W, H);
+                drawTimeLabels(view, W, H, traces[0].perDiv);
+                if (cursors.on) drawCursors(view, W, H);
+            }
+
+            // Seguir animando mientras haya datos recientes
+            running = true;
+            requestAnimationFrame(draw);
+        }
+
+        // ── Controles ──
+        function setTimebase(ms) { settings.timebase = +ms; }
+        function setVDiv(v)      { settings.vDiv = +v; }
+        function setIDiv(v)      { settings.iDiv = +v; }
+        function setEdge(edge)   { settings.edge = edge; }
+        function setLevel(v)     { settings.level = parseFloat(v) || 0; }
+
+        function setMode(m) {
+            mode = m;
+            if (m === 'run') frozen = null;
+            if (m === 'stop' && !frozen) frozen = lastView;
+            if (m === 'single') { frozen = null; armPos = writePos; }
+            document.getElementById('btnOscRun').textContent = mode === 'run' ? '❚❚ STOP' : '▶ RUN';
+            document.getElementById('btnOscRun').classList.toggle('active', mode !== 'run');
+            document.getElementById('btnOscSingle').classList.toggle('active', mode === 'single');
+        }
+
+        function toggleRun()  { setMode(mode === 'run' ? 'stop' : 'run'); }
+        function single()     { setMode('single'); }
+
+        function toggleCursors(btn) {
+            cursors.on = !cursors.on;
+            btn.classList.toggle('active', cursors.on);
+            updateReadout(lastView);
+        }
+
+        return {
+            init, createState, attach, pushSamples, latest,
+            setTimebase, setVDiv, setIDiv, setEdge, setLevel, toggleRun, single, toggleCursors
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: ANÁLISIS DE POTENCIA (P, S, Q, FP desde las muestras)
+    // ============================================================
+    const PowerAnalysis = (() => {
+        const STALE_MS = 2000;   // sin ondas recientes se vuelve a la potencia del firmware
+        let last = null;         // { P, S, Q, pf, phi, t }
+
+        // Índices (fraccionarios) de los cruces ascendentes por cero
+        function risingCrossings(x, mean) {
+            const out = [];
+            for (let k = 1; k < x.length; k++) {
+                const a = x[k - 1] - mean, b = x[k] - mean;
+                if (a < 0 && b >= 0) out.push(k - 1 + a / (a - b));
+            }
+            return out;
+        }
+
+        // Fasor de la componente de frecuencia w (rad/muestra) en x[from..to)
+        function phasor(x, w, from, to) {
+            let re = 0, im = 0;
+            for (let k = from; k < to; k++) {
+                re += x[k] * Math.cos(w * k);
+                im -= x[k] * Math.sin(w * k);
+            }
+            const n = to - from;
+            return { mag: Math.hypot(re, im) * 2 / n / Math.SQRT2, ang: Math.atan2(im, re) };
+        }
+
+        function compute(v, i) {
+            if (!i || v.length < 10) return null;
+            const mean = v.reduce((a, b) => a + b, 0) / v.length;
+            const zc = risingCrossings(v, mean);
+            if (zc.length < 2) return null;
+
+            // Ventana de ciclos completos para evitar fuga espectral
+            const from = Math.ceil(zc[0]), to = Math.ceil(zc[zc.length - 1]);
+            const n = to - from;
+            const period = (zc[zc.length - 1] - zc[0]) / (zc.length - 1);
+
+            let p = 0, v2 = 0, i2 = 0;
+            for (let k = from; k < to; k++) {
+                p  += v[k] * i[k];
+                v2 += v[k] * v[k];
+                i2 += i[k] * i[k];
+            }
+            const P = p / n;
+            const Vrms = Math.sqrt(v2 / n), Irms = Math.sqrt(i2 / n);
+            const S = Vrms * Irms;
+
+            const w = 2 * Math.PI / period;
+            const V1 = phasor(v, w, from, to), I1 = phasor(i, w, from, to);
+            let phi = V1.ang - I1.ang;   // > 0: la corriente atrasa (inductivo)
+            phi = Math.atan2(Math.sin(phi), Math.cos(phi));
+            const Q = V1.mag * I1.mag * Math.sin(phi);
+
+            return { P, S, Q, pf: S > 0 ? P / S : 0, phi: phi * 180 / Math.PI, Vrms, Irms };
+        }
+
+        // Fasores fundamentales de varias señales sobre la misma ventana de ciclos
+        // completos de `ref` (las fases de un sistema trifásico comparten referencia)
+        function phasors(ref, signals) {
+            const mean = ref.reduce((a, b) => a + b, 0) / ref.length;
+            const zc = risingCrossings(ref, mean);
+            if (zc.length < 2) return null;
+            const from = Math.ceil(zc[0]), to = Math.ceil(zc[zc.length - 1]);
+            const w = 2 * Math.PI * (zc.length - 1) / (zc[zc.length - 1] - zc[0]);
+            return signals.map(x => x ? phasor(x, w, from, to) : null);
+        }
+
+        function update({ voltage, current }) {
+            const r = compute(voltage, current);
+            if (!r) return;
+            last = { ...r, t: Date.now() };
+            render(r);
+        }
+
+        function realPower() {
+            return last && Date.now() - last.t < STALE_MS ? last.P : null;
+        }
+
+        function render(r) {
+            document.getElementById('pqP').textContent   = r.P.toFixed(1);
+            document.getElementById('pqS').textContent   = r.S.toFixed(1);
+            document.getElementById('pqQ').textContent   = r.Q.toFixed(1);
+            document.getElementById('pqPF').textContent  = r.pf.toFixed(3);
+            document.getElementById('pqPhi').textContent = r.phi.toFixed(1);
+            const nature = Math.abs(r.phi) < 2 ? 'RESISTIVO' : r.phi > 0 ? 'INDUCTIVO' : 'CAPACITIVO';
+            document.getElementById('pqNature').textContent = r.Irms < 0.05 ? 'SIN CARGA' : nature;
+        }
+
+        return { compute, phasors, update, realPower };
+    })();
+
+    // ============================================================
+    //  MÓDULO: TRIFÁSICO (por fase, tensiones de línea, desbalance, fasores)
+    // ============================================================
+    // Mensajes { type: 'rms', phases: [{ voltage, current, power }×3] } y
+    // { type: 'wave', phases: [{ voltage[], current[] }×3] }. Ángulos respecto de V1.
+    const ThreePhase = (() => {
+        const STALE_MS = 2000;                               // sin ondas recientes: ángulos nominales
+        const NAMES  = ['L1', 'L2', 'L3'];
+        const COLORS = ['#ef4444', '#f59e0b', '#3b82f6'];
+        const NOMINAL = [0, -120, 120];                      // secuencia positiva (°)
+        const EASE = 0.15;                                   // suavizado de la animación por cuadro
+
+        let enabled = false;
+        let rmsData = null;      // [{ voltage, current, power }×3]
+        let waveData = null;     // { V: [{ mag, ang }×3], I: [...], pq: [PowerAnalysis.compute()×3], t }
+        let drawn = null;        // vectores dibujados, interpolados hacia los medidos
+        let animating = false;
+
+        const rad = d => d * Math.PI / 180;
+        const wrap = a => Math.atan2(Math.sin(a), Math.cos(a));
+        const fresh = () => waveData && Date.now() - waveData.t < STALE_MS;
+
+        function show(on) {
+            if (on === enabled) return;
+            enabled = on;
+            document.getElementById('threePhasePanel').classList.toggle('hidden', !on);
+            if (on && !animating) {
+                animating = true;
+                requestAnimationFrame(animate);
+            }
+        }
+
+        // Volver a monofásico (mensajes sin 'phases' o cambio de placa)
+        function reset() {
+            rmsData = waveData = drawn = null;
+            Gauges.updatePhases(null);
+            show(false);
+        }
+
+        // Valores para los medidores principales: V e I promedio de fase, P suma de fases
+        function aggregate(phases) {
+            const sum = key => phases.reduce((a, ph) => a + ph[key], 0);
+            return { voltage: sum('voltage') / 3, current: sum('current') / 3, power: sum('power') };
+        }
+
+        function rms(phases) {
+            show(true);
+            rmsData = phases;
+            Gauges.updatePhases(phases);
+            render();
+            return aggregate(phases);
+        }
+
+        function wave(phases) {
+            show(true);
+            const v = phases.map(ph => Float32Array.from(ph.voltage, raw => Sensor.volts(raw)));
+            const i = phases.map(ph => ph.current ? Float32Array.from(ph.current, raw => Sensor.amps(raw)) : null);
+            const ph = PowerAnalysis.phasors(v[0], [...v, ...i]);
+            if (!ph) return;
+            waveData = { V: ph.slice(0, 3), I: ph.slice(3), pq: v.map((x, k) => PowerAnalysis.compute(x, i[k])), t: Date.now() };
+            render();
+        }
+
+        // Ángulos (rad) de V e I respecto de V1; nominales si no hay ondas
+        function angles() {
+            if (!fresh()) return { V: NOMINAL.map(rad), I: null };
+            const ref = waveData.V[0].ang;
+            return {
+                V: waveData.V.map(p => wrap(p.ang - ref)),
+                I: waveData.I.map(p => p ? wrap(p.ang - ref) : null)
+            };
+        }
+
+        // |Va∠a − Vb∠b| para cada par de fases
+        function lineVoltages(v, ang) {
+            return [[0, 1], [1, 2], [2, 0]].map(([a, b]) =>
+                Math.sqrt(v[a] ** 2 + v[b] ** 2 - 2 * v[a] * v[b] * Math.cos(ang[a] - ang[b])));
+        }
+
+        // Desbalance NEMA: máxima desviación respecto del promedio, en %
+        function unbalance(x) {
+            const avg = (x[0] + x[1] + x[2]) / 3;
+            return avg > 0 ? Math.max(...x.map(y => Math.abs(y - avg))) / avg * 100 : 0;
+        }
+
+        // Factor de desbalance IEC: |V₂| / |V₁| con componentes simétricas
+        function sequenceUnbalance(v, ang) {
+            const comp = shift => {
+                let re = 0, im = 0;
+                for (let k = 0; k < 3; k++) {
+                    const a = ang[k] + shift * k * 2 * Math.PI / 3;
+                    re += v[k] * Math.cos(a);
+                    im += v[k] * Math.sin(a);
+                }
+                return Math.hypot(re, im) / 3;
+            };
+            const pos = comp(1), neg = comp(-1);
+            return pos > 0 ? neg / pos * 100 : 0;
+        }
+
+        function realPower() {
+            return fresh() ? waveData.pq.reduce((a, r) => a + (r ? r.P : 0), 0) : null;
+        }
+
+        function render() {
+            if (!rmsData) return;
+            const v = rmsData.map(ph => ph.voltage), i = rmsData.map(ph => ph.current);
+            const ang = angles();
+            const pq = fresh() ? waveData.pq : null;
+            const deg = a => a === null ? '—' : `${(a * 180 / Math.PI).toFixed(1)}°`;
+
+            document.getElementById('tpBody').innerHTML = rmsData.map((ph, k) => {
+                const r = pq && pq[k];
+                return `
+                <tr>
+                    <td style="color: ${COLORS[k]}">${NAMES[k]}</td>
+                    <td>${ph.voltage.toFixed(1)}</td><td>${ph.current.toFixed(2)}</td>
+                    <td>${(r ? r.P : ph.power).toFixed(1)}</td><td>${r ? r.Q.toFixed(1) : '—'}</td><td>${r ? r.pf.toFixed(3) : '—'}</td>
+                    <td>${deg(ang.V[k])}</td><td>${ang.I ? deg(ang.I[k]) : '—'}</td>
+                </tr>`;
+            }).join('');
+
+            const ll = lineVoltages(v, ang.V);
+            const S = rmsData.reduce((a, ph) => a + ph.voltage * ph.current, 0);
+            const P = realPower() ?? rmsData.reduce((a, ph) => a + ph.power, 0);
+            const Q = pq ? pq.reduce((a, r) => a + (r ? r.Q : 0), 0) : null;
+            const item = (label, value) => `<div class="tp-item"><span class="vlab-label">${label}</span><span>${value}</span></div>`;
+            document.getElementById('tpSummary').innerHTML = [
+                item('V12 · V23 · V31', ll.map(x => `${x.toFixed(1)} V`).join(' · ')),
+                item('P total', fmtEng(P, 'W')),
+                item('Q total', Q === null ? '—' : fmtEng(Q, 'var')),
+                item('S total', fmtEng(S, 'VA')),
+                item('FP total', S > 0 ? (P / S).toFixed(3) : '—'),
+                item('Desbalance V (NEMA)', `${unbalance(v).toFixed(2)} %`),
+                item('Desbalance V (V₂/V₁)', fresh() ? `${sequenceUnbalance(v, ang.V).toFixed(2)} %` : '—'),
+                item('Desbalance I (NEMA)', `${unbalance(i).toFixed(2)} %`)
+            ].join('');
+            document.getElementById('tpAngles').textContent = fresh() ? 'ángulos medidos de la forma de onda' : 'ángulos nominales — active el osciloscopio';
+        }
+
+        // ── Diagrama fasorial: V a escala de la mayor tensión, I (punteadas) de la mayor corriente ──
+        function target() {
+            const ang = angles();
+            const vMag = rmsData ? rmsData.map(ph => ph.voltage) : [1, 1, 1];
+            const iMag = rmsData ? rmsData.map(ph => ph.current) : [0, 0, 0];
+            const vMax = Math.max(...vMag) || 1, iMax = Math.max(...iMag) || 1;
+            return {
+                V: vMag.map((m, k) => ({ mag: m / vMax, ang: ang.V[k] })),
+                I: ang.I ? iMag.map((m, k) => ({ mag: ang.I[k] === null ? 0 : 0.7 * m / iMax, ang: ang.I[k] ?? 0 })) : null
+            };
+        }
+
+        function animate() {
+            if (!enabled) { animating = false; return; }
+            const t = target();
+            if (!drawn) drawn = { V: t.V.map(p => ({ ...p })), I: t.I ? t.I.map(p => ({ ...p })) : null };
+            const ease = (cur, goal) => {
+                cur.mag += (goal.mag - cur.mag) * EASE;
+                cur.ang += wrap(goal.ang - cur.ang) * EASE;
+            };
+            t.V.forEach((p, k) => ease(drawn.V[k], p));
+            if (t.I) {
+                if (!drawn.I) drawn.I = t.I.map(p => ({ ...p, mag: 0 }));
+                t.I.forEach((p, k) => ease(drawn.I[k], p));
+            } else {
+                drawn.I = null;
+            }
+            draw();
+            requestAnimationFrame(animate);
+        }
+
+        function draw() {
+            const canvas = document.getElementById('phasorCanvas');
+            const ctx = canvas.getContext('2d');
+            const W = canvas.width, H = canvas.height;
+            const cx = W / 2, cy = H / 2, R = Math.min(W, H) / 2 - 22;
+
+            ctx.clearRect(0, 0, W, H);
+            ctx.strokeStyle = 'rgba(40,46,58,0.9)';
+            ctx.lineWidth = 1;
+            [0.5, 1].forEach(f => {
+                ctx.beginPath();
+                ctx.arc(cx, cy, R * f, 0, 2 * Math.PI);
+                ctx.stroke();
+            });
+            ctx.beginPath();
+            ctx.moveTo(cx - R, cy); ctx.lineTo(cx + R, cy);
+            ctx.moveTo(cx, cy - R); ctx.lineTo(cx, cy + R);
+            ctx.stroke();
+
+            ctx.font = '10px "Share Tech Mono", monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            const arrow = (p, color, label, dashed) => {
+                // Ángulo positivo en sentido antihorario (y del canvas hacia abajo)
+                const x = cx + Math.cos(p.ang) * p.mag * R, y = cy - Math.sin(p.ang) * p.mag * R;
+                ctx.strokeStyle = ctx.fillStyle = color;
+                ctx.lineWidth = dashed ? 1.5 : 2.5;
+                ctx.setLineDash(dashed ? [4, 3] : []);
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(x, y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                const h = 7, a = Math.atan2(y - cy, x - cx);
+                ctx.beginPath();
+                ctx.moveTo(x, y);
+                ctx.lineTo(x - h * Math.cos(a - 0.4), y - h * Math.sin(a - 0.4));
+                ctx.lineTo(x - h * Math.cos(a + 0.4), y - h * Math.sin(a + 0.4));
+                ctx.closePath();
+                ctx.fill();
+                ctx.fillText(label, cx + Math.cos(p.ang) * (p.mag * R + 12), cy - Math.sin(p.ang) * (p.mag * R + 12));
+            };
+            if (drawn.I) drawn.I.forEach((p, k) => { if (p.mag > 0.01) arrow(p, COLORS[k], `I${k + 1}`, true); });
+            drawn.V.forEach((p, k) => arrow(p, COLORS[k], `V${k + 1}`, false));
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'alphabetic';
+        }
+
+        return {
+            rms, wave, reset, aggregate, realPower,
+            get enabled() { return enabled; }
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: FRECUENCIA DE LÍNEA Y MÉTRICAS POR CICLO
+    // ============================================================
+    const LineMetrics = (() => {
+        const NOMINAL_RATE = 1000;     // Hz del timer del firmware, mientras no haya medida
+        const RATE_WINDOW_MS = 5000;
+        const LOG_EVERY_MS = 1000;
+        const LOG_MAX = 3600;          // una hora a 1 punto/s
+        let arrivals = [];             // [{ t, n }] mensajes wave recientes
+        let traceClock = false;        // arrivals medidas con el reloj de una traza
+        let measuredRate = null;
+        let deviceRate = null;         // tasa declarada por el firmware en las tramas binarias
+        let freq = null;
+        let freqLog = [];              // [{ t, f }]
+        let lastLog = 0;
+        const STALE_MS = 3000;
+
+        function sampleRate() {
+            return deviceRate || measuredRate || NOMINAL_RATE;
+        }
+
+        function setDeviceRate(hz) {
+            if (hz === deviceRate) return;
+            deviceRate = hz || null;
+            arrivals = [];
+            measuredRate = null;
+        }
+
+        // Tasa real: muestras recibidas / tiempo transcurrido entre mensajes (en una
+        // traza, el tiempo de la captura y no el de la reproducción)
+        function trackRate(n) {
+            const trace = TraceReplay.clock;
+            const now = trace ?? performance.now();
+            // Cambio de reloj (traza ↔ en vivo) o salto atrás en la traza: medir de nuevo
+            if (arrivals.length && ((trace !== null) !== traceClock || now < arrivals[arrivals.length - 1].t)) arrivals = [];
+            traceClock = trace !== null;
+            arrivals.push({ t: now, n });
+            while (arrivals.length > 2 && now - arrivals[0].t > RATE_WINDOW_MS) arrivals.shift();
+            if (arrivals.length < 3) return;
+            const span = now - arrivals[0].t;
+            const samples = arrivals.slice(1).reduce((a, m) => a + m.n, 0);
+            if (span > 0) measuredRate = samples * 1000 / span;
+        }
+
+        // Cruces ascendentes interpolados, con histéresis contra el ruido
+        function crossings(x, mean, hyst) {
+            const out = [];
+            let armed = false;
+            for (let k = 1; k < x.length; k++) {
+                const a = x[k - 1] - mean, b = x[k] - mean;
+                if (b < -hyst) armed = true;
+                if (armed && a < 0 && b >= 0) {
+                    out.push(k - 1 + a / (a - b));
+                    armed = false;
+                }
+            }
+            return out;
+        }
+
+        // Pico, factor de cresta y componente DC sobre ciclos completos
+        function cycleStats(x, from, to) {
+            let sum = 0, sq = 0, peak = 0;
+            for (let k = from; k < to; k++) {
+                sum += x[k];
+                sq  += x[k] * x[k];
+                peak = Math.max(peak, Math.abs(x[k]));
+            }
+            const n = to - from;
+            const rms = Math.sqrt(sq / n);
+            return { peak, rms, crest: rms > 0 ? peak / rms : 0, dc: sum / n };
+        }
+
+        function analyze(voltage, current, fs) {
+            if (voltage.length < 10) return null;
+            let mean = 0, peak = 0;
+            for (const v of voltage) { mean += v; }
+            mean /= voltage.length;
+            for (const v of voltage) peak = Math.max(peak, Math.abs(v - mean));
+            const zc = crossings(voltage, mean, peak * 0.05);
+            if (zc.length < 2) return null;
+
+            const period = (zc[zc.length - 1] - zc[0]) / (zc.length - 1);
+            const from = Math.ceil(zc[0]), to = Math.ceil(zc[zc.length - 1]);
+            return {
+                freq: fs / period,
+                v: cycleStats(voltage, from, to),
+                i: current ? cycleStats(current, from, to) : null
+            };
+        }
+
+        function update(n) {
+            trackRate(n);
+            const { voltage, current } = Oscilloscope.latest(Math.round(sampleRate()));   // ~1 s
+            const r = analyze(voltage, current, sampleRate());
+            if (!r) return;
+            freq = r.freq;
+
+            const now = Date.now();
+            if (now - lastLog >= LOG_EVERY_MS) {
+                lastLog = now;
+                freqLog.push({ t: now, f: freq });
+                if (freqLog.length > LOG_MAX) freqLog.shift();
+                drawLog();
+            }
+            render(r);
+        }
+
+        function render(r) {
+            document.getElementById('oscFreq').textContent = `f: ${r.freq.toFixed(2)} Hz`;
+            document.getElementById('oscRate').textContent = `Rate: ${(sampleRate() / 1000).toFixed(3)} kHz`;
+            document.getElementById('cycVpk').textContent  = r.v.peak.toFixed(1);
+            document.getElementById('cycVcf').textContent  = r.v.crest.toFixed(3);
+            document.getElementById('cycVdc').textContent  = r.v.dc.toFixed(2);
+            document.getElementById('cycIpk').textContent  = r.i ? r.i.peak.toFixed(3) : '—';
+            document.getElementById('cycIcf').textContent  = r.i ? r.i.crest.toFixed(3) : '—';
+            document.getElementById('cycIdc').textContent  = r.i ? r.i.dc.toFixed(3) : '—';
+        }
+
+        // Registro de frecuencia: mini-gráfica y extremos
+        function drawLog() {
+            const canvas = document.getElementById('freqSpark');
+            const ctx = canvas.getContext('2d');
+            const W = canvas.width, H = canvas.height;
+            ctx.clearRect(0, 0, W, H);
+            if (freqLog.length < 2) return;
+
+            const fs = freqLog.map(e => e.f);
+            let min = Infinity, max = -Infinity;
+            for (const f of fs) { min = Math.min(min, f); max = Math.max(max, f); }
+            const span = Math.max(max - min, 0.05);
+            ctx.strokeStyle = '#f59e0b';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            fs.forEach((f, k) => {
+                const x = k / (fs.length - 1) * W;
+                const y = H - 2 - (f - min) / span * (H - 4);
+                if (k === 0) ctx.moveTo(x, y);
+                else         ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+            document.getElementById('freqRange').textContent = `${min.toFixed(2)} – ${max.toFixed(2)} Hz`;
+        }
+
+        function exportLog() {
+            if (freqLog.length === 0) { logSerial('WARN', 'Sin registro de frecuencia'); return; }
+            const csv = 'timestamp,frequency_hz\n' + freqLog.map(e => `${new Date(e.t).toISOString()},${e.f.toFixed(3)}`).join('\n') + '\n';
+            downloadBlob(csv, 'text/csv', `frecuencia_${Date.now()}.csv`);
+        }
+
+        function clearLog() {
+            freqLog = [];
+            drawLog();
+            document.getElementById('freqRange').textContent = '—';
+        }
+
+        return {
+            sampleRate, setDeviceRate, analyze, update, exportLog, clearLog,
+            get frequency() { return Date.now() - lastLog < STALE_MS ? freq : null; }
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: TENDENCIA EN VIVO (últimos minutos de 'rms' + retención en medidores)
+    // ============================================================
+    // Búfer en memoria de cada placa (link.trend): funciona con o sin sesión en la SD.
+    const Trend = (() => {
+        const MAX_MS = 60 * 60 * 1000;     // ventana más larga que se puede elegir
+        const RENDER_MS = 1000;
+        const KEYS = ['voltage', 'current', 'power'];
+        const SERIES = {
+            voltage: { label: 'Voltaje RMS (V)',   color: '#3b82f6', axis: 'yV', position: 'left'  },
+            current: { label: 'Corriente RMS (A)', color: '#10b981', axis: 'yI', position: 'right' },
+            power:   { label: 'Potencia (W)',      color: '#f59e0b', axis: 'yP', position: 'right' },
+        };
+
+        let chart = null;
+        let buf = createState();           // el de la placa mostrada
+        let windowMin = 5;
+        let lastRender = 0;
+
+        // points: [{ t, voltage, current, power }]; hold: { since, voltage: { min, max, sum, n }, ... }
+        function createState() {
+            return { points: [], hold: blankHold() };
+        }
+
+        function blankHold() {
+            const blank = () => ({ min: Infinity, max: -Infinity, sum: 0, n: 0 });
+            return { since: Date.now(), voltage: blank(), current: blank(), power: blank() };
+        }
+
+        const tickStyle = { color: '#6b7280', font: { family: 'Share Tech Mono', size: 10 } };
+
+        // Segundos antes de ahora → "-m:ss"
+        function ago(s) {
+            const t = Math.round(-s);
+            return t <= 0 ? 'ahora' : `-${Math.floor(t / 60)}:${String(t % 60).padStart(2, '0')}`;
+        }
+
+        function init() {
+            const scales = {
+                x: { type: 'linear', ticks: { ...tickStyle, maxRotation: 0, callback: ago }, grid: { color: '#1f2937' } }
+            };
+            KEYS.forEach((k, j) => {
+                const cfg = SERIES[k];
+                scales[cfg.axis] = {
+                    position: cfg.position,
+                    display: 'auto',
+                    ticks: { ...tickStyle, color: cfg.color },
+                    grid: { color: '#1f2937', drawOnChartArea: j === 0 }
+                };
+            });
+            chart = new Chart(document.getElementById('trendChart').getContext('2d'), {
+                type: 'line',
+                data: {
+                    datasets: KEYS.map(k => ({
+                        label: SERIES[k].label,
+                        data: [],
+                        yAxisID: SERIES[k].axis,
+                        borderColor: SERIES[k].color,
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        fill: false,
+                        hidden: k !== 'power'
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: { duration: 0 },
+                    parsing: false,
+                    plugins: {
+                        decimation: { enabled: true, algorithm: 'min-max' },
+                        legend: { labels: { color: '#9ca3af', font: { family: 'Share Tech Mono', size: 10 }, boxWidth: 12 } },
+                        tooltip: {
+                            mode: 'nearest', axis: 'x', intersect: false,
+                            callbacks: { title: items => ago(items[0].parsed.x) },
+                            backgroundColor: '#1a1d23',
+                            titleFont: { family: 'Share Tech Mono' },
+                            bodyFont:  { family: 'Share Tech Mono' }
+                        }
+                    },
+                    scales
+                }
+            });
+            resetHold();
+        }
+
+        // Un punto por mensaje 'rms' (los mismos valores que muestran los medidores)
+        function push(voltage, current, power, target = buf) {
+            const now = Date.now();
+            const point = { t: now, voltage, current, power };
+            const { points, hold } = target;
+            points.push(point);
+            while (now - points[0].t > MAX_MS) points.shift();
+
+            KEYS.forEach(k => {
+                const h = hold[k], x = point[k];
+                if (!Number.isFinite(x)) return;
+                h.min = Math.min(h.min, x);
+                h.max = Math.max(h.max, x);
+                h.sum += x;
+                h.n++;
+            });
+            if (target !== buf) return;
+            showHold();
+            if (now - lastRender >= RENDER_MS) render();
+        }
+
+        function showHold() {
+            KEYS.forEach(k => {
+                const h = buf.hold[k];
+                Gauges.setHold(k, h.n ? { min: h.min, max: h.max, avg: h.sum / h.n } : null);
+            });
+        }
+
+        function render() {
+            lastRender = Date.now();
+            const { points, hold } = buf;
+            const from = lastRender - windowMin * 60000;
+            const visible = points.filter(p => p.t >= from);
+            chart.data.datasets.forEach((ds, j) => {
+                ds.data = visible.map(p => ({ x: (p.t - lastRender) / 1000, y: p[KEYS[j]] }));
+            });
+            chart.options.scales.x.min = -windowMin * 60;
+            chart.options.scales.x.max = 0;
+            chart.update('none');
+            document.getElementById('trendInfo').textContent = points.length
+                ? `${visible.length} pts · hold desde ${new Date(hold.since).toLocaleTimeString('es', { hour12: false })}`
+                : 'sin datos';
+        }
+
+        function setWindow(min) {
+            windowMin = +min;
+            render();
+        }
+
+        function resetHold() {
+            buf.hold = blankHold();
+            showHold();
+            render();
+        }
+
+        // Cambio de placa: mostrar el búfer de la nueva
+        function attach(state) {
+            buf = state;
+            showHold();
+            if (chart) render();
+        }
+
+        return { init, createState, attach, push, setWindow, resetHold };
+    })();
+
+    // ============================================================
+    //  MÓDULO: ANÁLISIS ARMÓNICO (FFT, THD)
+    // ============================================================
+    const Harmonics = (() => {
+        const UPDATE_MS   = 1000;
+        const BAND        = 3;       // bins a cada lado del armónico que se integran
+        let chart = null;
+        let windowType = 'hann';
+        let lastUpdate = 0;
+
+        const WINDOWS = {
+            rect:     () => 1,
+            hann:     (k, N) => 0.5 - 0.5 * Math.cos(2 * Math.PI * k / (N - 1)),
+            hamming:  (k, N) => 0.54 - 0.46 * Math.cos(2 * Math.PI * k / (N - 1)),
+            blackman: (k, N) => 0.42 - 0.5 * Math.cos(2 * Math.PI * k / (N - 1)) + 0.08 * Math.cos(4 * Math.PI * k / (N - 1)),
+        };
+
+        // FFT radix-2 iterativa, in-place
+        function fft(re, im) {
+            const N = re.length;
+            for (let i = 1, j = 0; i < N; i++) {
+                let bit = N >> 1;
+                for (; j & bit; bit >>= 1) j ^= bit;
+                j ^= bit;
+                if (i < j) {
+                    [re[i], re[j]] = [re[j], re[i]];
+                    [im[i], im[j]] = [im[j], im[i]];
+                }
+            }
+            for (let len = 2; len <= N; len <<= 1) {
+                const ang = -2 * Math.PI / len;
+                for (let i = 0; i < N; i += len) {
+                    for (let k = 0; k < len / 2; k++) {
+                        const wr = Math.cos(ang * k), wi = Math.sin(ang * k);
+                        const a = i + k, b = a + len / 2;
+                        const xr = re[b] * wr - im[b] * wi;
+                        const xi = re[b] * wi + im[b] * wr;
+                        re[b] = re[a] - xr; im[b] = im[a] - xi;
+                        re[a] += xr;        im[a] += xi;
+                    }
+                }
+            }
+        }
+
+        // Espectro de potencia unilateral normalizado: sum(bins) = valor RMS²
+        function spectrum(x, type) {
+            const N = x.length;
+            const win = WINDOWS[type] || WINDOWS.hann;
+            const mean = x.reduce((a, b) => a + b, 0) / N;
+            const re = new Float64Array(N), im = new Float64Array(N);
+            let w2 = 0;
+            for (let k = 0; k < N; k++) {
+                const w = win(k, N);
+                re[k] = (x[k] - mean) * w;
+                w2 += w * w;
+            }
+            fft(re, im);
+            const pw = new Float64Array(N / 2);
+            for (let k = 1; k < N / 2; k++) pw[k] = 2 * (re[k] ** 2 + im[k] ** 2) / (N * w2);
+            return pw;
+        }
+
+        function fundamentalBin(pw, N, fs) {
+            const lo = Math.floor(40 * N / fs), hi = Math.ceil(70 * N / fs);
+            let best = lo;
+            for (let k = lo; k <= hi; k++) if (pw[k] > pw[best]) best = k;
+            // Interpolación parabólica sobre la magnitud
+            const a = Math.sqrt(pw[best - 1] || 0), b = Math.sqrt(pw[best]), c = Math.sqrt(pw[best + 1] || 0);
+            const d = (a - 2 * b + c) ? 0.5 * (a - c) / (a - 2 * b + c) : 0;
+            return best + d;
+        }
+
+        function harmonicRms(pw, bin) {
+            const center = Math.round(bin);
+            let sum = 0;
+            for (let k = Math.max(1, center - BAND); k <= Math.min(pw.length - 1, center + BAND); k++) sum += pw[k];
+            return Math.sqrt(sum);
+        }
+
+        // Devuelve { f0, harmonics: [{ order, freq, v, i }], thdV, thdI }
+        function analyze(voltage, current, fs = LineMetrics.sampleRate()) {
+            let N = 1;
+            while (N * 2 <= voltage.length) N *= 2;
+            if (N < 256) return null;
+            const v = voltage.subarray(voltage.length - N);
+            const pwV = spectrum(v, windowType);
+            const pwI = current ? spectrum(current.subarray(current.length - N), windowType) : null;
+
+            const f0bin = fundamentalBin(pwV, N, fs);
+            const f0 = f0bin * fs / N;
+            const maxOrder = Math.floor((fs / 2) / f0);
+            const harmonics = [];
+            for (let h = 1; h <= maxOrder; h++) {
+                if (h * f0bin + BAND >= N / 2) break;
+                harmonics.push({
+                    order: h,
+                    freq: h * f0,
+                    v: harmonicRms(pwV, h * f0bin),
+                    i: pwI ? harmonicRms(pwI, h * f0bin) : null
+                });
+            }
+            const thd = key => {
+                const f = harmonics[0][key];
+                if (!f) return null;
+                const rest = harmonics.slice(1).reduce((a, h) => a + h[key] ** 2, 0);
+                return Math.sqrt(rest) / f * 100;
+            };
+            return { f0, harmonics, thdV: thd('v'), thdI: pwI ? thd('i') : null };
+        }
+
+        function init() {
+            const ctx = document.getElementById('harmonicChart').getContext('2d');
+            const axis = { ticks: { color: '#6b7280', font: { family: 'Share Tech Mono', size: 10 } }, grid: { color: '#1f2937' } };
+            chart = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: [],
+                    datasets: [
+                        { label: 'Voltaje (%)',   data: [], backgroundColor: '#3b82f6aa', abs: [], unit: 'V' },
+                        { label: 'Corriente (%)', data: [], backgroundColor: '#10b981aa', abs: [], unit: 'A' },
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: { duration: 0 },
+                    plugins: {
+                        legend: { labels: { color: '#9ca3af', font: { family: 'Share Tech Mono', size: 10 } } },
+                        tooltip: {
+                            backgroundColor: '#1a1d23',
+                            titleFont: { family: 'Share Tech Mono' },
+                            bodyFont:  { family: 'Share Tech Mono' },
+                            callbacks: {
+                                label: c => `${c.dataset.label}: ${c.raw.toFixed(1)}% (${c.dataset.abs[c.dataIndex].toFixed(3)} ${c.dataset.unit})`
+                            }
+                        }
+                    },
+                    scales: { x: axis, y: { ...axis, beginAtZero: true, title: { display: true, text: '% fundamental', color: '#6b7280' } } }
+                }
+            });
+        }
+
+        function setWindow(type) {
+            windowType = type;
+            lastUpdate = 0;
+        }
+
+        function update(force = false) {
+            const now = Date.now();
+            if (!force && now - lastUpdate < UPDATE_MS) return;
+            lastUpdate = now;
+
+            const { voltage, current } = Oscilloscope.latest(Math.round(LineMetrics.sampleRate() * 1.2));
+            const r = analyze(voltage, current);
+            if (!r) return;
+            render(r);
+        }
+
+        function render(r) {
+            const [vDs, iDs] = chart.data.datasets;
+            const f = r.harmonics[0];
+            chart.data.labels = r.harmonics.map(h => `${h.order} (${h.freq.toFixed(0)} Hz)`);
+            vDs.data = r.harmonics.map(h => f.v ? h.v / f.v * 100 : 0);
+            vDs.abs  = r.harmonics.map(h => h.v);
+            iDs.data = r.harmonics.map(h => f.i ? h.i / f.i * 100 : 0);
+            iDs.abs  = r.harmonics.map(h => h.i || 0);
+            iDs.hidden = r.thdI === null;
+            chart.update();
+
+            document.getElementById('thdV').textContent = r.thdV !== null ? `${r.thdV.toFixed(1)}%` : '—';
+            document.getElementById('thdI').textContent = r.thdI !== null ? `${r.thdI.toFixed(1)}%` : '—';
+            document.getElementById('harmF0').textContent = `${r.f0.toFixed(2)} Hz`;
+        }
+
+        return { init, analyze, update, setWindow };
+    })();
+
+    // ============================================================
+    //  MÓDULO: ANÁLISIS (Web Worker)
+    // ============================================================
+    const Analysis = (() => {
+        const DS_POINTS = 2000;     // puntos por serie entregados a la gráfica
+
+        // Código del worker. Debe ser autocontenido: se serializa a un Blob y
+        // también se ejecuta en el hilo principal si no hay soporte de Worker.
+        function workerMain(scope) {
+            const SLICE = 1 << 20;  // caracteres por bloque al recorrer texto
+
+            const COLUMNS = {
+                time:    ['timestamp_ms', 'time_ms', 't_ms', 'millis', 'timestamp', 'time', 'tiempo', 'fecha', 'date', 'datetime', 't', 'elapsed_s', 'seconds', 'segundos'],
+                voltage: ['voltage_rms', 'vrms', 'v_rms', 'voltage', 'voltaje', 'tension', 'tensión', 'v'],
+                current: ['current_rms', 'irms', 'i_rms', 'current', 'corriente', 'i'],
+                power:   ['power', 'power_w', 'p', 'potencia', 'watts', 'w']
+            };
+            // Columnas por fase de registros trifásicos (n = 1, 2, 3)
+            const PHASE_COLUMNS = {
+                voltage: n => [`voltage_l${n}`, `voltage_rms_l${n}`, `v_l${n}`, `vl${n}`, `v${n}`, `voltaje_l${n}`],
+                current: n => [`current_l${n}`, `current_rms_l${n}`, `i_l${n}`, `il${n}`, `i${n}`, `corriente_l${n}`],
+                power:   n => [`power_l${n}`, `p_l${n}`, `pl${n}`, `p${n}`, `potencia_l${n}`]
+            };
+            const PHASE_KEYS = ['v1', 'i1', 'p1', 'v2', 'i2', 'p2', 'v3', 'i3', 'p3'];
+
+            let last = null;        // último conjunto completo, para re-muestrear al hacer zoom
+
+            function detectLayout(headerLine) {
+                const delim = [',', ';', '\t'].reduce((best, d) =>
+                    headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+                const headers = headerLine.split(delim).map(h => h.trim().replace(/^"|"$/g, '').toLowerCase());
+                const find = names => {
+                    for (const n of names) {
+                        const idx = headers.indexOf(n);
+                        if (idx >= 0) return idx;
+                    }
+                    return -1;
+                };
+                const t = find(COLUMNS.time);
+                const phases = [1, 2, 3].map(n => ({
+                    v: find(PHASE_COLUMNS.voltage(n)), i: find(PHASE_COLUMNS.current(n)), p: find(PHASE_COLUMNS.power(n))
+                }));
+                const three = phases.every(ph => ph.v >= 0 && ph.i >= 0);
+                return {
+                    delim,
+                    decimalComma: delim === ';',
+                    t, v: find(COLUMNS.voltage), i: find(COLUMNS.current), p: find(COLUMNS.power),
+                    phases: three ? phases : null,
+                    timeName: t >= 0 ? headers[t] : null
+                };
+            }
+
+            // Segundos, o { wall } si la columna es de reloj (ISO o epoch en ms)
+            function parseTime(raw, timeName) {
+                const num = Number(raw);
+                if (raw === '' || isNaN(num)) {
+                    const ms = Date.parse(raw);
+                    return isNaN(ms) ? NaN : { wall: ms };
+                }
+                if (num > 1e12) return { wall: num };
+                // El firmware registra millis(): sólo las columnas nombradas en segundos no se dividen
+                if (/(^|_)s$|seconds|segundos/.test(timeName)) return num;
+                return num / 1000;
+            }
+
+            // Columnas en Float64Array que crecen por duplicación; push(...valores en el orden de keys)
+            function columns(keys) {
+                let cap = 4096;
+                const cols = { n: 0 };
+                keys.forEach(k => { cols[k] = new Float64Array(cap); });
+                cols.push = (...values) => {
+                    if (cols.n === cap) {
+                        cap *= 2;
+                        for (const k of keys) {
+                            const next = new Float64Array(cap);
+                            next.set(cols[k]);
+                            cols[k] = next;
+                        }
+                    }
+                    keys.forEach((k, j) => { cols[k][cols.n] = values[j]; });
+                    cols.n++;
+                };
+                return cols;
+            }
+
+            async function* chunks(source) {
+                if (typeof source === 'string') {
+                    for (let k = 0; k < source.length; k += SLICE) yield source.slice(k, k + SLICE);
+                    return;
+                }
+                const reader = source.stream().pipeThrough(new TextDecoderStream()).getReader();
+                for (;;) {
+                    const { done, value } = await reader.read();
+                    if (done) return;
+                    yield value;
+                }
+            }
+
+            // retain = false: análisis auxiliar (comparación) que no reemplaza la sesión del zoom
+            async function parse(id, source, retain, points) {
+                const total = typeof source === 'string' ? source.length : source.size;
+                const warnings = [];
+                let cols = null, layout = null, num = null, carry = '', read = 0, wall0 = null, rows = 0;
+
+                // Trifásico: v e i son el promedio de fase y p la suma; cada fase en v1…p3
+                const values = parts => {
+                    // Celda de potencia vacía o inválida: P = V·I, como sin columna
+                    const power = (col, v, c) => {
+                        const p = col >= 0 ? num(parts[col] ?? '') : NaN;
+                        return isNaN(p) ? v * c : p;
+                    };
+                    if (!layout.phases) {
+                        const v = num(parts[layout.v] ?? ''), c = num(parts[layout.i] ?? '');
+                        return [v, c, power(layout.p, v, c)];
+                    }
+                    const ph = layout.phases.flatMap(col => {
+                        const v = num(parts[col.v] ?? ''), c = num(parts[col.i] ?? '');
+                        return [v, c, power(col.p, v, c)];
+                    });
+                    return [(ph[0] + ph[3] + ph[6]) / 3, (ph[1] + ph[4] + ph[7]) / 3, ph[2] + ph[5] + ph[8], ...ph];
+                };
+
+                const line = raw => {
+                    const text = raw.trim();
+                    if (!text) return;
+                    if (!layout) {
+                        layout = detectLayout(text);
+                        num = layout.decimalComma ? str => parseFloat(str.replace(',', '.')) : parseFloat;
+                        cols = columns(['t', 'v', 'i', 'p', ...(layout.phases ? PHASE_KEYS : [])]);
+                        return;
+                    }
+                    if (!layout.phases && (layout.v < 0 || layout.i < 0)) return;
+                    rows++;
+                    const parts = text.split(layout.delim).map(x => x.trim().replace(/^"|"$/g, ''));
+                    const row = values(parts);
+                    if (isNaN(row[0]) || isNaN(row[1])) return;
+
+                    let t = layout.t >= 0 ? parseTime(parts[layout.t], layout.timeName) : cols.n;
+                    if (typeof t === 'object') {
+                        if (wall0 === null) wall0 = t.wall;
+                        t = (t.wall - wall0) / 1000;
+                    }
+                    if (isNaN(t)) return;
+                    cols.push(t, ...row);
+                };
+
+                for await (const chunk of chunks(source)) {
+                    read += chunk.length;
+                    const lines = (carry + chunk).split('\n');
+                    carry = lines.pop();
+                    lines.forEach(line);
+                    scope.postMessage({ id, type: 'progress', done: Math.min(read / total, 1) });
+                }
+                line(carry);
+
+                if (!layout) throw new Error('Archivo vacío');
+                if (!layout.phases && (layout.v < 0 || layout.i < 0)) throw new Error('Columnas no reconocidas: se esperaba voltaje y corriente');
+                if (layout.t < 0) warnings.push('Sin columna de tiempo: se asume 1 muestra por segundo');
+                if (layout.phases ? layout.phases.some(ph => ph.p < 0) : layout.p < 0) warnings.push('Sin columna de potencia: se usa P = V·I');
+                if (rows > cols.n) warnings.push(`${rows - cols.n} filas inválidas ignoradas`);
+                if (cols.n === 0) throw new Error('El archivo no contiene muestras');
+
+                const n = cols.n;
+                const full = { t: cols.t.slice(0, n), v: cols.v.slice(0, n), i: cols.i.slice(0, n), p: cols.p.slice(0, n) };
+                if (layout.phases) PHASE_KEYS.forEach(k => { full[k] = cols[k].slice(0, n); });
+                if (retain) last = full;
+                const stats = { v: stats1(full.v), i: stats1(full.i), p: stats1(full.p) };
+                const three = layout.phases ? threeStats(full, 0, n) : null;
+                const ds = series(0, n, points, full);
+
+                // Copias transferibles: el worker conserva 'last' para el zoom
+                const out = { t: full.t.slice(), v: full.v.slice(), i: full.i.slice(), p: full.p.slice() };
+                scope.postMessage({ id, type: 'result', count: n, stats, three, warnings, wall0, full: out, ds },
+                    [out.t.buffer, out.v.buffer, out.i.buffer, out.p.buffer]);
+            }
+
+            // Por fase, tensiones de línea (fases a 120°: el CSV no trae ángulos) y
+            // desbalance NEMA (máxima desviación respecto del promedio, %) de V e I
+            function threeStats(src, from, to) {
+                const n = to - from;
+                const sub = k => src[k].subarray(from, to);
+                const ll = [new Float64Array(n), new Float64Array(n), new Float64Array(n)];
+                const ub = { v: new Float64Array(n), i: new Float64Array(n) };
+                const nema = (a, b, c) => {
+                    const avg = (a + b + c) / 3;
+                    return avg > 0 ? Math.max(Math.abs(a - avg), Math.abs(b - avg), Math.abs(c - avg)) / avg * 100 : 0;
+                };
+                for (let k = 0; k < n; k++) {
+                    const v = [src.v1[from + k], src.v2[from + k], src.v3[from + k]];
+                    [[0, 1], [1, 2], [2, 0]].forEach(([a, b], j) => {
+                        ll[j][k] = Math.sqrt(v[a] ** 2 + v[b] ** 2 + v[a] * v[b]);
+                    });
+                    ub.v[k] = nema(...v);
+                    ub.i[k] = nema(src.i1[from + k], src.i2[from + k], src.i3[from + k]);
+                }
+                return {
+                    phases: [1, 2, 3].map(m => ({ v: stats1(sub(`v${m}`)), i: stats1(sub(`i${m}`)), p: stats1(sub(`p${m}`)) })),
+                    ll: ll.map(stats1),
+                    unbalance: { v: stats1(ub.v), i: stats1(ub.i) }
+                };
+            }
+
+            // Una pasada para extremos y media (sin Math.max(...arr)); orden para percentiles
+            function stats1(arr) {
+                let min = Infinity, max = -Infinity, sum = 0;
+                for (let k = 0; k < arr.length; k++) {
+                    const x = arr[k];
+                    if (x < min) min = x;
+                    if (x > max) max = x;
+                    sum += x;
+                }
+                const avg = sum / arr.length;
+                let sq = 0;
+                for (let k = 0; k < arr.length; k++) sq += (arr[k] - avg) ** 2;
+
+                const sorted = arr.slice().sort();
+                const pct = q => {
+                    const pos = (sorted.length - 1) * q;
+                    const lo = Math.floor(pos);
+                    return sorted[lo] + (sorted[Math.min(lo + 1, sorted.length - 1)] - sorted[lo]) * (pos - lo);
+                };
+                return {
+                    avg, min, max, std: Math.sqrt(sq / arr.length),
+                    p5: pct(0.05), p25: pct(0.25), median: pct(0.5), p75: pct(0.75), p95: pct(0.95)
+                };
+            }
+
+            // Largest-Triangle-Three-Buckets sobre [from, to)
+            function lttb(t, y, from, to, threshold) {
+                const len = to - from;
+                if (len <= threshold || threshold < 3) {
+                    return { x: t.slice(from, to), y: y.slice(from, to) };
+                }
+                const outX = new Float64Array(threshold), outY = new Float64Array(threshold);
+                const every = (len - 2) / (threshold - 2);
+                let a = from;
+                outX[0] = t[a]; outY[0] = y[a];
+
+                for (let k = 0; k < threshold - 2; k++) {
+                    // Promedio del siguiente cubo
+                    let avgStart = from + Math.floor((k + 1) * every) + 1;
+                    let avgEnd = Math.min(from + Math.floor((k + 2) * every) + 1, to);
+                    let ax = 0, ay = 0;
+                    for (let j = avgStart; j < avgEnd; j++) { ax += t[j]; ay += y[j]; }
+                    const cnt = avgEnd - avgStart || 1;
+                    ax /= cnt; ay /= cnt;
+
+                    // Punto del cubo actual con mayor área de triángulo
+                    const start = from + Math.floor(k * every) + 1;
+                    const end = from + Math.floor((k + 1) * every) + 1;
+                    let best = start, bestArea = -1;
+                    for (let j = start; j < end; j++) {
+                        const area = Math.abs((t[a] - ax) * (y[j] - y[a]) - (t[a] - t[j]) * (ay - y[a]));
+                        if (area > bestArea) { bestArea = area; best = j; }
+                    }
+                    outX[k + 1] = t[best]; outY[k + 1] = y[best];
+                    a = best;
+                }
+                outX[threshold - 1] = t[to - 1]; outY[threshold - 1] = y[to - 1];
+                return { x: outX, y: outY };
+            }
+
+            function series(from, to, points, src = last) {
+                return {
+                    v: lttb(src.t, src.v, from, to, points),
+                    i: lttb(src.t, src.i, from, to, points),
+                    p: lttb(src.t, src.p, from, to, points)
+                };
+            }
+
+            // Índice del primer t >= x (t es creciente en sesiones válidas)
+            function lowerBound(t, x) {
+                let lo = 0, hi = t.length;
+                while (lo < hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (t[mid] < x) lo = mid + 1; else hi = mid;
+                }
+                return lo;
+            }
+
+            scope.onmessage = async ({ data }) => {
+                try {
+                    if (data.type === 'parse') {
+                        await parse(data.id, data.source, data.retain, data.points);
+                    } else if (data.type === 'series') {
+                        if (!last) throw new Error('Sin datos cargados');
+                        const from = Math.max(0, lowerBound(last.t, data.t0) - 1);
+                        const to = Math.min(last.t.length, lowerBound(last.t, data.t1) + 1);
+                        scope.postMessage({ id: data.id, type: 'result', ds: series(from, to, data.points) });
+                    } else if (data.type === 'stats') {
+                        if (!last) throw new Error('Sin datos cargados');
+                        const from = lowerBound(last.t, data.t0);
+                        const to = lowerBound(last.t, data.t1 + 1e-9);
+                        if (to <= from) { scope.postMessage({ id: data.id, type: 'result', range: null }); return; }
+                        const sub = k => last[k].subarray(from, to);
+                        scope.postMessage({ id: data.id, type: 'result', range: {
+                            from, count: to - from,
+                            stats: { v: stats1(sub('v')), i: stats1(sub('i')), p: stats1(sub('p')) },
+                            three: last.v1 ? threeStats(last, from, to) : null
+                        } });
+                    }
+                } catch (e) {
+                    scope.postMessage({ id: data.id, type: 'error', message: e.message });
+                }
+            };
+        }
+
+        let worker = null;
+        let seq = 0;
+        const pending = new Map();   // id → { resolve, reject, onProgress }
+
+        function receive(msg) {
+            const job = pending.get(msg.id);
+            if (!job) return;
+            if (msg.type === 'progress') { job.onProgress?.(msg.done); return; }
+            pending.delete(msg.id);
+            msg.type === 'error' ? job.reject(new Error(msg.message)) : job.resolve(msg);
+        }
+
+        function getWorker() {
+            if (worker) return worker;
+            try {
+                const url = URL.createObjectURL(new Blob([`(${workerMain})(self);`], { type: 'text/javascript' }));
+                worker = new Worker(url);
+                worker.onmessage = e => receive(e.data);
+            } catch (e) {
+                // Sin Worker (p. ej. navegador antiguo): mismo código en el hilo principal
+                logSerial('WARN', 'Web Worker no disponible: el análisis se ejecutará en la página');
+                const scope = { postMessage: msg => receive(msg) };
+                workerMain(scope);
+                worker = { postMessage: data => setTimeout(() => scope.onmessage({ data })) };
+            }
+            return worker;
+        }
+
+        function request(msg, onProgress) {
+            const id = ++seq;
+            return new Promise((resolve, reject) => {
+                pending.set(id, { resolve, reject, onProgress });
+                getWorker().postMessage({ ...msg, id });
+            });
+        }
+
+        // source: texto CSV o Blob/File (se lee por streaming dentro del worker).
+        // retain = false no sustituye la sesión sobre la que trabajan series() y stats().
+        function parse(source, onProgress, retain = true) {
+            return request({ type: 'parse', source, retain, points: DS_POINTS }, onProgress);
+        }
+
+        // Serie re-muestreada del intervalo [t0, t1] a resolución completa disponible
+        function series(t0, t1, points = DS_POINTS) {
+            return request({ type: 'series', t0, t1, points }).then(r => r.ds);
+        }
+
+        // Estadísticas de las muestras con t0 ≤ t ≤ t1: { from, count, stats, three } o null
+        function stats(t0, t1) {
+            return request({ type: 'stats', t0, t1 }).then(r => r.range);
+        }
+
+        return { parse, series, stats };
+    })();
+
+    // ============================================================
+    //  MÓDULO: FILE MANAGER
+    // ============================================================
+    const FileManager = (() => {
+        const STALL_MS    = 4000;    // sin datos → pedir lo que falta
+        const LEGACY_MS   = 2500;    // sin file_start → firmware antiguo, usar READ
+        const MAX_RETRIES = 5;
+        const RESEND_MAX  = 64;      // secuencias por comando RESEND
+        const utf8 = new TextEncoder();   // tamaños y progreso en bytes, como los declara el firmware
+
+        // Transferencia en curso:
+        // { name, legacy, size, chunks, crc, parts[], received, bytes, started, lastData, retries, content }
+        let transfer = null;
+        let watchdog = null;
+
+        let files = [];                           // [{ name, size, date }] último LIST
+        let card = null;                          // { total, used } en bytes
+        let sort = { key: 'date', dir: -1 };
+        const selected = new Set();
+        let batch = null;                         // { queue[], entries[], total }
+        let analyzed = null;                      // última sesión analizada (para restaurar tras una selección)
+
+        function listFiles() {
+            SerialManager.request('LIST').catch(ignore);
+        }
+
+        function renderFileList(list, info) {
+            files = list || [];
+            card = info || null;
+            [...selected].forEach(n => { if (!files.some(f => f.name === n)) selected.delete(n); });
+            renderCard();
+            renderFiles();
+        }
+
+        function renderCard() {
+            const box = document.getElementById('sdCard');
+            if (!card || !card.total) { box.classList.add('hidden'); return; }
+            box.classList.remove('hidden');
+            const pct = card.used / card.total * 100;
+            const bar = document.getElementById('sdBar');
+            bar.style.width = `${Math.max(pct, 0.5).toFixed(1)}%`;
+            bar.classList.toggle('full', pct > 90);
+            document.getElementById('sdInfo').textContent =
+                `${fmtBytes(card.total - card.used)} libres de ${fmtBytes(card.total)} (${pct.toFixed(1)}% usado)`;
+        }
+
+        function renderFiles() {
+            const container = document.getElementById('fileList');
+            if (files.length === 0) {
+                container.innerHTML = '<div class="file-empty">No hay archivos CSV en la microSD</div>';
+                updateBatchButton();
+                return;
+            }
+            const rows = [...files].sort((a, b) => {
+                const x = a[sort.key] ?? 0, y = b[sort.key] ?? 0;
+                return (typeof x === 'string' ? x.localeCompare(y) : x - y) * sort.dir;
+            });
+            const arrow = key => sort.key === key ? (sort.dir > 0 ? ' ▲' : ' ▼') : '';
+            const allSel = files.every(f => selected.has(f.name));
+
+            container.innerHTML = `
+                <div class="file-head">
+                    <input type="checkbox" ${allSel ? 'checked' : ''} onchange="FileManager.selectAll(this.checked)" title="Seleccionar todo">
+                    <button onclick="FileManager.sortBy('name')">NOMBRE${arrow('name')}</button>
+                    <button onclick="FileManager.sortBy('size')">TAMAÑO${arrow('size')}</button>
+                    <button onclick="FileManager.sortBy('date')">FECHA${arrow('date')}</button>
+                </div>
+            ` + rows.map(f => `
+                <div class="file-item" data-name="${esc(f.name)}">
+                    <input type="checkbox" ${selected.has(f.name) ? 'checked' : ''}>
+                    <div class="file-info">
+                        <span class="file-name">${esc(f.name)}</span>
+                        <span class="file-size">${(f.size / 1024).toFixed(1)} KB · ${f.date ? new Date(f.date * 1000).toLocaleString() : 'sin fecha'}</span>
+                    </div>
+                    <button class="file-btn" data-act="download">↓ DESCARGAR</button>
+                    <button class="file-btn file-btn-minor" data-act="rename" title="Renombrar">✎</button>
+                    <button class="file-btn file-btn-minor file-btn-danger" data-act="remove" title="Eliminar">✕</button>
+                </div>
+            `).join('');
+            // El nombre viene del dispositivo: se toma del atributo, nunca se arma como literal JS
+            const actions = { download: downloadFile, rename, remove };
+            container.querySelectorAll('.file-item').forEach(row => {
+                const name = row.dataset.name;
+                row.querySelector('input').addEventListener('change', e => toggleSelect(name, e.target.checked));
+                row.querySelectorAll('[data-act]').forEach(btn => btn.addEventListener('click', () => actions[btn.dataset.act](name)));
+            });
+            updateBatchButton();
+        }
+
+        function sortBy(key) {
+            sort = sort.key === key ? { key, dir: -sort.dir } : { key, dir: key === 'name' ? 1 : -1 };
+            renderFiles();
+        }
+
+        function toggleSelect(name, on) {
+            on ? selected.add(name) : selected.delete(name);
+            renderFiles();
+        }
+
+        function selectAll(on) {
+            files.forEach(f => on ? selected.add(f.name) : selected.delete(f.name));
+            renderFiles();
+        }
+
+        function updateBatchButton() {
+            const btn = document.getElementById('btnBatch');
+            btn.disabled = selected.size === 0 || !!batch;
+            btn.textContent = `↓ ZIP (${selected.size})`;
+        }
+
+        function remove(name) {
+            if (!confirm(`¿Eliminar ${name} de la microSD? Esta acción no se puede deshacer.`)) return;
+            SerialManager.request(`DELETE ${name}`).then(listFiles).catch(ignore);
+        }
+
+        function rename(name) {
+            const to = (prompt(`Nuevo nombre para ${name}:`, name) || '').trim();
+            if (!to || to === name) return;
+            // El protocolo separa argumentos por espacios
+            if (!/^[\w.-]+$/.test(to)) {
+                logSerial('ERROR', 'Nombre inválido: use letras, números, "_", "-" o "."');
+                return;
+            }
+            if (files.some(f => f.name === to)) {
+                logSerial('ERROR', `Ya existe un archivo llamado ${to}`);
+                return;
+            }
+            SerialManager.request(`RENAME ${name} ${to}`).then(listFiles).catch(ignore);
+        }
+
+        // Descarga en lote: las sesiones se piden una tras otra y se empaquetan en un ZIP
+        function downloadSelected() {
+            if (batch || transfer || selected.size === 0) return;
+            const queue = files.filter(f => selected.has(f.name)).map(f => f.name);
+            batch = { queue, entries: [], total: queue.length };
+            logSerial('INFO', `Descarga en lote: ${queue.length} archivos`);
+            updateBatchButton();
+            nextInBatch();
+        }
+
+        function nextInBatch() {
+            if (!batch) return;
+            const name = batch.queue.shift();
+            if (name) { downloadFile(name); return; }
+
+            const zip = buildZip(batch.entries);
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            downloadBlob(zip, 'application/zip', `sesiones_${stamp}.zip`);
+            logSerial('INFO', `ZIP generado con ${batch.entries.length} de ${batch.total} archivos`);
+            batch = null;
+            updateBatchButton();
+        }
+
+        function downloadFile(name) {
+            if (transfer) { logSerial('ERROR', `Descarga en curso: ${transfer.name}`); return; }
+            transfer = { name, legacy: false, size: 0, chunks: 0, crc: null, parts: [], received: 0, bytes: 0,
+                         started: Date.now(), lastData: Date.now(), retries: 0, content: '', announced: false };
+            // Firmware que declara sus capacidades y no incluye READ2: protocolo legado directamente
+            const caps = SerialManager.device?.caps;
+            if (caps && !caps.includes('read2')) {
+                transfer.legacy = true;
+                SerialManager.send(`READ ${name}`);
+            } else {
+                SerialManager.send(`READ2 ${name} 0`);
+            }
+            startWatchdog();
+            renderProgress();
+        }
+
+        function startReceiving(msg) {
+            if (!transfer || transfer.name.replace(/^\//, '') !== msg.name.replace(/^\//, '')) {
+                // Transferencia iniciada fuera del panel (p. ej. READ manual)
+                transfer = { name: msg.name, parts: [], received: 0, bytes: 0, started: Date.now(), retries: 0, content: '' };
+            }
+            transfer.legacy = msg.chunks === undefined;
+            transfer.size   = msg.size;
+            transfer.chunks = msg.chunks || 0;
+            transfer.crc    = msg.crc ?? null;
+            transfer.lastData = Date.now();
+            if (!transfer.announced) {
+                logSerial('RX', `Recibiendo: ${msg.name} (${msg.size} bytes${transfer.legacy ? '' : `, ${msg.chunks} bloques`})`);
+                transfer.announced = true;
+            }
+            renderProgress();
+        }
+
+        // Protocolo legado: texto con escapes ad-hoc y sin verificación
+        function receiveFileData(content) {
+            if (!transfer) return;
+            const text = content.replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+            transfer.content += text;
+            transfer.bytes += utf8.encode(text).length;
+            transfer.lastData = Date.now();
+            renderProgress();
+        }
+
+        function receiveChunk(msg) {
+            if (!transfer || transfer.legacy) return;
+            transfer.lastData = Date.now();
+            if (crc32(msg.data) !== msg.crc) {
+                logSerial('WARN', `Bloque ${msg.seq} corrupto, se pedirá de nuevo`);
+                return;
+            }
+            if (transfer.parts[msg.seq] === undefined) {
+                transfer.parts[msg.seq] = msg.data;
+                transfer.received++;
+                transfer.bytes += utf8.encode(msg.data).length;
+            }
+            renderProgress();
+        }
+
+        function missingChunks() {
+            const out = [];
+            for (let k = 0; k < transfer.chunks; k++) if (transfer.parts[k] === undefined) out.push(k);
+            return out;
+        }
+
+        function finishReceiving() {
+            if (!transfer) return;
+            if (transfer.legacy) {
+                const bytes = utf8.encode(transfer.content).length;
+                if (transfer.size && bytes !== transfer.size) {
+                    logSerial('ERROR', `Archivo incompleto: ${bytes} de ${transfer.size} bytes (firmware sin verificación)`);
+                }
+                complete(transfer.content);
+                return;
+            }
+
+            const missing = missingChunks();
+            if (missing.length > 0) {
+                if (!retry()) return;
+                logSerial('WARN', `Faltan ${missing.length} bloques, solicitando retransmisión`);
+                SerialManager.send(`RESEND ${transfer.name} ${missing.slice(0, RESEND_MAX).join(',')}`);
+                return;
+            }
+
+            const content = transfer.parts.join('');
+            const bytes = utf8.encode(content).length;
+            if (bytes !== transfer.size || (transfer.crc !== null && crc32(content) !== transfer.crc)) {
+                logSerial('ERROR', `Verificación fallida (${bytes}/${transfer.size} bytes), reiniciando descarga`);
+                if (!retry()) return;
+                transfer.parts = [];
+                transfer.received = 0;
+                transfer.bytes = 0;
+                SerialManager.send(`READ2 ${transfer.name} 0`);
+                return;
+            }
+            complete(content);
+        }
+
+        function retry() {
+            transfer.retries++;
+            if (transfer.retries > MAX_RETRIES) {
+                logSerial('ERROR', `Descarga fallida tras ${MAX_RETRIES} reintentos: ${transfer.name}`);
+                stop();
+                nextInBatch();
+                return false;
+            }
+            return true;
         }
 
-        function animate() {
-            Object.values(configs).forEach(cfg => {
-                // Suavizado exponencial
-                cfg.value += (cfg.targetValue - cfg.value) * 0.12;
-                drawGauge(cfg);
+        function complete(content) {
+            const name = transfer.name;
+            stop();
+            const info = files.find(f => f.name === name);
+            const date = info?.date ? info.date * 1000 : null;
+            Library.store(content, { file: name.replace('/', ''), date });
+
+            if (batch) {
+                batch.entries.push({ name: name.replace('/', ''), data: content, date: date ?? Date.now() });
+                logSerial('INFO', `Archivo recibido (${batch.entries.length}/${batch.total}): ${name}`);
+                nextInBatch();
+                return;
+            }
+
+            // Disparar descarga
+            downloadBlob(content, 'text/csv', name.replace('/', ''));
+            logSerial('INFO', `Archivo descargado: ${name}`);
+
+            // Parsear y mostrar estadísticas
+            parseAndAnalyze(content, `microSD: ${name}`, date);
+        }
+
+        function cancel() {
+            if (!transfer) return;
+            SerialManager.request('ABORT').catch(ignore);
+            logSerial('INFO', `Descarga cancelada: ${transfer.name}`);
+            batch = null;
+            stop();
+            updateBatchButton();
+        }
+
+        function stop() {
+            transfer = null;
+            clearInterval(watchdog);
+            watchdog = null;
+            renderProgress();
+        }
+
+        // Reanudar desde el primer bloque faltante (tras tryReconnect o estancamiento)
+        function resume() {
+            if (!transfer || !SerialManager.isConnected) return;
+            transfer.lastData = Date.now();
+            if (transfer.legacy) {
+                logSerial('WARN', `Reiniciando descarga (firmware sin reanudación): ${transfer.name}`);
+                transfer.content = '';
+                transfer.bytes = 0;
+                SerialManager.send(`READ ${transfer.name}`);
+                return;
+            }
+            const missing = transfer.chunks ? missingChunks() : [0];
+            logSerial('SISTEMA', `Reanudando ${transfer.name} desde el bloque ${missing[0]}`);
+            SerialManager.send(`READ2 ${transfer.name} ${missing[0]}`);
+        }
+
+        function startWatchdog() {
+            clearInterval(watchdog);
+            watchdog = setInterval(() => {
+                if (!transfer || !SerialManager.isConnected) return;
+                const idle = Date.now() - transfer.lastData;
+                if (!transfer.size && !transfer.legacy && idle > LEGACY_MS && transfer.retries === 0) {
+                    // Sin respuesta a READ2: firmware antiguo
+                    transfer.legacy = true;
+                    transfer.lastData = Date.now();
+                    SerialManager.send(`READ ${transfer.name}`);
+                } else if (idle > STALL_MS) {
+                    if (!retry()) return;
+                    resume();
+                }
+            }, 1000);
+        }
+
+        function renderProgress() {
+            const box = document.getElementById('transferBox');
+            if (!transfer) { box.classList.add('hidden'); return; }
+            box.classList.remove('hidden');
+            const total = transfer.size || 0;
+            const pct = total ? Math.min(100, transfer.bytes / total * 100) : 0;
+            const elapsed = (Date.now() - transfer.started) / 1000;
+            const rate = elapsed > 0 ? transfer.bytes / elapsed : 0;
+            const eta = rate > 0 && total ? (total - transfer.bytes) / rate : null;
+
+            document.getElementById('transferName').textContent = batch
+                ? `${transfer.name} (${batch.total - batch.queue.length}/${batch.total})`
+                : transfer.name;
+            document.getElementById('transferBar').style.width = `${pct.toFixed(1)}%`;
+            document.getElementById('transferInfo').textContent =
+                `${pct.toFixed(0)}% · ${(rate / 1024).toFixed(1)} KB/s · ETA ${eta !== null ? `${Math.ceil(eta)} s` : '—'}` +
+                (transfer.retries ? ` · reintentos ${transfer.retries}` : '');
+        }
+
+        // ── Importación local (archivo guardado o microSD en lector de tarjetas) ──
+        function init() {
+            const zone = document.getElementById('content-data');
+            let depth = 0;
+            zone.addEventListener('dragenter', e => { e.preventDefault(); depth++; zone.classList.add('drop-active'); });
+            zone.addEventListener('dragover', e => e.preventDefault());
+            zone.addEventListener('dragleave', () => { if (--depth <= 0) { depth = 0; zone.classList.remove('drop-active'); } });
+            zone.addEventListener('drop', e => {
+                e.preventDefault();
+                depth = 0;
+                zone.classList.remove('drop-active');
+                importLocal(e.dataTransfer.files);
             });
-            requestAnimationFrame(animate);
         }
 
+        function importLocal(fileList) {
+            const list = [...(fileList || [])].filter(f => /\.(csv|txt)$/i.test(f.name));
+            if (list.length === 0) { logSerial('ERROR', 'Seleccione un archivo .csv'); return; }
+            if (list.length > 1) { Compare.addFiles(list); return; }
+            const file = list[0];
+            // Sin hora de inicio: la fecha de modificación es la de la copia, no la de la sesión.
+            // Sólo una columna de fecha en el propio CSV da hora de reloj.
+            parseAndAnalyze(file, `Archivo local: ${file.name}`)
+                .then(ok => { if (ok) logSerial('INFO', `Archivo local analizado: ${file.name}`); });
+        }
+
+        // endTime: fecha de cierre del archivo en la microSD (ms), para estimar la hora de inicio
+        async function parseAndAnalyze(source, label = '', endTime = null) {
+            const info = document.getElementById('dataSource');
+            info.textContent = 'Analizando…';
+            let res;
+            try {
+                res = await Analysis.parse(source, done => { info.textContent = `Analizando… ${(done * 100).toFixed(0)}%`; });
+            } catch (e) {
+                logSerial('ERROR', `Análisis fallido: ${e.message}`);
+                info.textContent = 'Sin datos';
+                return false;
+            }
+            res.warnings.forEach(w => logSerial('WARN', w));
+
+            // Hora de reloj de t = 0: columna de fecha, o fecha de cierre del archivo en la microSD
+            const t = res.full.t;
+            const origin = res.wall0 ?? (endTime ? endTime - t[t.length - 1] * 1000 : null);
+
+            analyzed = { ...res, origin, label: label || `${res.count} muestras` };
+            HistoryChart.loadData(res.full, res.ds, origin);
+            restoreStats();
+            return true;
+        }
+
+        // three: estadísticas por fase de un registro trifásico (o null)
+        function renderStats(stats, count, three = null) {
+            const { v: sv, i: si, p: sp } = stats;
+            document.getElementById('statVavg').textContent = sv.avg.toFixed(1);
+            document.getElementById('statVmax').textContent = sv.max.toFixed(1);
+            document.getElementById('statVmin').textContent = sv.min.toFixed(1);
+            document.getElementById('statVstd').textContent = sv.std.toFixed(2);
+            document.getElementById('statIavg').textContent = si.avg.toFixed(3);
+            document.getElementById('statPavg').textContent = sp.avg.toFixed(1);
+            document.getElementById('statPmax').textContent = sp.max.toFixed(1);
+            document.getElementById('statCount').textContent = count;
+            renderPercentiles(stats);
+            renderThreePhase(three);
+        }
+
+        // Volver a las estadísticas de la sesión completa (tras quitar una selección)
+        function restoreStats() {
+            if (!analyzed) return;
+            renderStats(analyzed.stats, analyzed.count, analyzed.three);
+            Energy.analyzeSession(analyzed.full.t, analyzed.full.p, analyzed.origin !== null ? new Date(analyzed.origin) : null);
+            document.getElementById('dataSource').textContent = analyzed.label;
+        }
+
+        function renderPercentiles(stats) {
+            const row = (name, s, unit, d) => `
+                <tr><td>${name} (${unit})</td>${['min', 'p5', 'p25', 'median', 'p75', 'p95', 'max'].map(k => `<td>${s[k].toFixed(d)}</td>`).join('')}</tr>`;
+            document.getElementById('statsPct').innerHTML = row('V', stats.v, 'V', 1) + row('I', stats.i, 'A', 3) + row('P', stats.p, 'W', 1);
+        }
+
+        function renderThreePhase(three) {
+            document.getElementById('statsThreeWrap').classList.toggle('hidden', !three);
+            if (!three) return;
+            const cells = (values, d) => values.map(x => `<td>${x.toFixed(d)}</td>`).join('');
+            const row = (name, values, d) => `<tr><td>${name}</td>${cells(values, d)}</tr>`;
+            const ph = three.phases;
+            const ub = (name, s) => `<tr><td>${name}</td><td>${s.avg.toFixed(2)}</td><td>${s.p95.toFixed(2)}</td><td>${s.max.toFixed(2)}</td></tr>`;
+            document.getElementById('statsThree').innerHTML =
+                row('V prom. (V)', ph.map(x => x.v.avg), 1) +
+                row('I prom. (A)', ph.map(x => x.i.avg), 3) +
+                row('P prom. (W)', ph.map(x => x.p.avg), 1) +
+                row('V línea prom. (V12 · V23 · V31)', three.ll.map(x => x.avg), 1) +
+                '<tr><th>Desbalance (%)</th><th>Prom.</th><th>P95</th><th>Máx</th></tr>' +
+                ub('Tensión', three.unbalance.v) + ub('Corriente', three.unbalance.i);
+        }
+
+        return {
+            listFiles, renderFileList, downloadFile, startReceiving, receiveFileData, receiveChunk,
+            finishReceiving, cancel, resume, sortBy, toggleSelect, selectAll, remove, rename, downloadSelected,
+            init, importLocal, parseAndAnalyze, renderStats, restoreStats,
+            get analyzed() { return analyzed; },
+            get busy() { return !!(transfer || batch); }
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: HISTORY CHART
+    // ============================================================
+    const HistoryChart = (() => {
+        let chart = null;
+        let full = null;       // { t, v, i, p } a resolución completa
+        let ds = null;         // { v, i, p } → { x, y } re-muestreados (LTTB) para dibujar
+        let origin = null;     // hora de reloj (ms) correspondiente a t = 0, si se conoce
+        let timeMode = 'elapsed';
+        let mode = 'zoom';     // 'zoom': rueda/arrastre desplaza · 'select': arrastre selecciona
+        let view = null;       // { min, max } visible en segundos
+        let brush = null;      // { t0, t1 } selección activa
+        let drag = null;
+        let refineTimer = null;
+        const visible = { voltage: true, current: false, power: false };
+        let compare = null;    // [{ name, color, ds }] sesiones superpuestas por tiempo transcurrido
+        let baseSets = null;
+
+        const metricConfig = {
+            voltage: { label: 'Voltaje RMS (V)', color: '#3b82f6', key: 'v', axis: 'yV', position: 'left'  },
+            current: { label: 'Corriente RMS (A)', color: '#10b981', key: 'i', axis: 'yI', position: 'right' },
+            power:   { label: 'Potencia (W)',     color: '#f59e0b', key: 'p', axis: 'yP', position: 'right' },
+        };
+        const ORDER = ['voltage', 'current', 'power'];
+
+        // Sombreado de la selección, dibujado sobre el área de trazado
+        const brushPlugin = {
+            id: 'historyBrush',
+            afterDatasetsDraw(c) {
+                const sel = drag?.select ? { t0: drag.t0, t1: drag.t1 } : brush;
+                if (!sel) return;
+                const { ctx, chartArea: area, scales: { x } } = c;
+                const x0 = Math.max(area.left, x.getPixelForValue(Math.min(sel.t0, sel.t1)));
+                const x1 = Math.min(area.right, x.getPixelForValue(Math.max(sel.t0, sel.t1)));
+                if (x1 <= x0) return;
+                ctx.save();
+                ctx.fillStyle = 'rgba(59,130,246,0.12)';
+                ctx.strokeStyle = 'rgba(59,130,246,0.6)';
+                ctx.fillRect(x0, area.top, x1 - x0, area.bottom - area.top);
+                ctx.strokeRect(x0, area.top, x1 - x0, area.bottom - area.top);
+                ctx.restore();
+            }
+        };
+
+        const tickStyle = { color: '#6b7280', font: { family: 'Share Tech Mono', size: 10 } };
+
         function init() {
-            ['voltage', 'current', 'power'].forEach(key => {
-                const cfg = configs[key];
-                cfg.canvas = document.getElementById(`gauge${key.charAt(0).toUpperCase() + key.slice(1)}`);
-                cfg.ctx    = cfg.canvas.getContext('2d');
+            const canvas = document.getElementById('historyChart');
+            const ctx = canvas.getContext('2d');
+            const scales = {
+                x: {
+                    type: 'linear',
+                    ticks: { ...tickStyle, maxRotation: 0, autoSkipPadding: 20, callback: v => fmtTime(v) },
+                    grid: { color: '#1f2937' }
+                }
+            };
+            ORDER.forEach((m, k) => {
+                const cfg = metricConfig[m];
+                scales[cfg.axis] = {
+                    position: cfg.position,
+                    display: 'auto',
+                    ticks: { ...tickStyle, color: cfg.color },
+                    grid: { color: '#1f2937', drawOnChartArea: k === 0 }
+                };
             });
-            animate();
+
+            chart = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    datasets: ORDER.map(m => ({
+                        label: metricConfig[m].label,
+                        data: [],
+                        yAxisID: metricConfig[m].axis,
+                        borderColor: metricConfig[m].color,
+                        backgroundColor: metricConfig[m].color + '14',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        fill: false,
+                        tension: 0.3,
+                        hidden: !visible[m]
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: { duration: 400 },
+                    parsing: false,
+                    plugins: {
+                        legend: { display: false, labels: { color: '#9ca3af', font: { family: 'Share Tech Mono', size: 10 }, boxWidth: 12 } },
+                        tooltip: {
+                            mode: 'nearest', axis: 'x', intersect: false,
+                            callbacks: { title: items => fmtTime(items[0].parsed.x, true) },
+                            backgroundColor: '#1a1d23',
+                            borderColor: '#2d3139',
+                            borderWidth: 1,
+                            titleColor: '#9ca3af',
+                            bodyColor: '#f3f4f6',
+                            titleFont: { family: 'Share Tech Mono' },
+                            bodyFont:  { family: 'Share Tech Mono' }
+                        }
+                    },
+                    scales
+                },
+                plugins: [brushPlugin]
+            });
+
+            canvas.addEventListener('wheel', onWheel, { passive: false });
+            canvas.addEventListener('mousedown', onDown);
+            window.addEventListener('mousemove', onMove);
+            window.addEventListener('mouseup', onUp);
+            canvas.addEventListener('dblclick', resetRange);
         }
 
-        function update(v, i, p) {
-            configs.voltage.targetValue = v;
-            configs.current.targetValue = i;
-            configs.power.targetValue   = p;
+        function fmtTime(v, precise = false) {
+            if (timeMode === 'clock' && origin !== null && !compare) {
+                const d = new Date(origin + v * 1000);
+                return precise ? d.toLocaleString() : d.toLocaleTimeString();
+            }
+            return precise ? `${v.toFixed(1)} s` : `${v.toFixed(0)}s`;
+        }
+
+        // data: columnas completas; series: re-muestreo inicial calculado en el worker;
+        // t0: hora de reloj (ms) de t = 0 o null
+        function loadData(data, series, t0 = null) {
+            full = data;
+            ds = series;
+            origin = t0;
+            brush = null;
+            view = null;
+            delete chart.options.scales.x.min;
+            delete chart.options.scales.x.max;
+            updateTimeButton();
+            updateBrushButton();
+            refreshChart();
+        }
+
+        function bounds() {
+            if (compare) return { min: 0, max: Math.max(...compare.map(c => c.duration)) };
+            return { min: full.t[0], max: full.t[full.t.length - 1] };
+        }
+
+        // ── Zoom / desplazamiento ──
+        function applyView(next) {
+            const b = bounds();
+            const span = Math.min(Math.max(next.max - next.min, 1), b.max - b.min || 1);
+            let min = Math.max(b.min, Math.min(next.min, b.max - span));
+            view = { min, max: min + span };
+            chart.options.scales.x.min = view.min;
+            chart.options.scales.x.max = view.max;
+            chart.update('none');
+
+            // Al detenerse, pedir al worker el tramo visible con más detalle
+            clearTimeout(refineTimer);
+            if (!compare) refineTimer = setTimeout(() => setRange(view.min, view.max), 150);
+        }
+
+        function onWheel(e) {
+            if (!full && !compare) return;
+            e.preventDefault();
+            const x = chart.scales.x;
+            const at = x.getValueForPixel(e.offsetX);
+            const cur = view || bounds();
+            const k = e.deltaY > 0 ? 1.25 : 0.8;
+            applyView({ min: at - (at - cur.min) * k, max: at + (cur.max - at) * k });
+        }
+
+        function onDown(e) {
+            if ((!full && !compare) || e.button !== 0) return;
+            const at = chart.scales.x.getValueForPixel(e.offsetX);
+            const select = !compare && (mode === 'select' || e.shiftKey);
+            drag = { select, x: e.clientX, view: view || bounds(), t0: at, t1: at };
+        }
+
+        function onMove(e) {
+            if (!drag) return;
+            const x = chart.scales.x;
+            const perPx = (drag.view.max - drag.view.min) / (x.right - x.left);
+            if (drag.select) {
+                drag.t1 = drag.t0 + (e.clientX - drag.x) * perPx;
+                chart.draw();
+            } else {
+                const shift = (drag.x - e.clientX) * perPx;
+                applyView({ min: drag.view.min + shift, max: drag.view.max + shift });
+            }
+        }
+
+        function onUp() {
+            if (!drag) return;
+            const d = drag;
+            drag = null;
+            if (d.select && Math.abs(d.t1 - d.t0) > 0) select(Math.min(d.t0, d.t1), Math.max(d.t0, d.t1));
+            else chart.draw();
+        }
+
+        // Intervalo visible: se pide al worker una serie re-muestreada sólo de ese tramo,
+        // de modo que al acercarse aparece la resolución completa
+        async function setRange(t0, t1) {
+            if (!full) return;
+            ds = await Analysis.series(t0, t1);
+            chart.options.scales.x.min = t0;
+            chart.options.scales.x.max = t1;
+            refreshChart();
+        }
+
+        function resetRange() {
+            if (compare) {
+                view = null;
+                delete chart.options.scales.x.min;
+                delete chart.options.scales.x.max;
+                chart.update('none');
+                return;
+            }
+            if (!full) return;
+            view = null;
+            const b = bounds();
+            setRange(b.min, b.max);
+        }
+
+        function setMode(next, btn) {
+            mode = next;
+            btn.parentElement.querySelectorAll('[data-mode]').forEach(b => b.classList.toggle('active', b === btn));
+        }
+
+        // ── Selección de rango: estadísticas y energía del tramo ──
+        async function select(t0, t1) {
+            const b = bounds();
+            t0 = Math.max(t0, b.min);
+            t1 = Math.min(t1, b.max);
+            const res = await Analysis.stats(t0, t1);
+            if (!res) { logSerial('WARN', 'Selección sin muestras'); return; }
+            brush = { t0, t1 };
+            chart.draw();
+
+            FileManager.renderStats(res.stats, res.count, res.three);
+            const from = res.from, to = res.from + res.count;
+            Energy.analyzeSession(full.t.subarray(from, to), full.p.subarray(from, to), origin !== null ? new Date(origin) : null);
+            document.getElementById('dataSource').textContent = `Selección: ${fmtTime(t0, true)} → ${fmtTime(t1, true)}`;
+            updateBrushButton();
+        }
+
+        function clearSelection() {
+            if (!brush) return;
+            brush = null;
+            chart.draw();
+            updateBrushButton();
+            FileManager.restoreStats();
+        }
+
+        function updateBrushButton() {
+            document.getElementById('btnClearBrush').disabled = !brush;
+        }
+
+        // ── Métricas superpuestas ──
+        function toggleMetric(metric, btn) {
+            if (compare) { setMetric(metric, btn); return; }   // en comparación, una métrica a la vez
+            const next = !visible[metric];
+            if (!next && Object.values(visible).filter(Boolean).length === 1) return;   // al menos una
+            visible[metric] = next;
+            btn.classList.toggle('active', next);
+            refreshChart();
+        }
+
+        // Compatibilidad: mostrar una sola métrica
+        function setMetric(metric, btn) {
+            ORDER.forEach(m => { visible[m] = m === metric; });
+            btn.parentElement.querySelectorAll('[data-metric]').forEach(b => b.classList.toggle('active', b === btn));
+            refreshChart();
+        }
+
+        function toggleTimeMode() {
+            if (origin === null) return;
+            timeMode = timeMode === 'clock' ? 'elapsed' : 'clock';
+            updateTimeButton();
+            chart.update('none');
+        }
+
+        function updateTimeButton() {
+            const btn = document.getElementById('btnTimeMode');
+            btn.disabled = origin === null;
+            btn.textContent = timeMode === 'clock' && origin !== null ? 'HORA' : 'SEG';
+            btn.title = origin === null ? 'Hora de inicio desconocida' : 'Alternar tiempo transcurrido / hora de reloj';
+        }
+
+        // Superponer sesiones alineadas por tiempo transcurrido; null vuelve a la vista normal.
+        // Se dibuja una sola métrica: la primera visible.
+        function setComparison(list) {
+            if (!chart) return;
+            const next = list && list.length ? list : null;
+            if (next && !compare) baseSets = chart.data.datasets;
+            if (!next && compare) chart.data.datasets = baseSets;
+            compare = next;
+            delete chart.options.scales.x.min;
+            delete chart.options.scales.x.max;
+            view = null;
+            brush = null;
+            refreshChart();
+        }
+
+        function refreshComparison() {
+            const metric = ORDER.find(m => visible[m]);
+            const cfg = metricConfig[metric];
+            chart.data.datasets = compare.map(c => {
+                const s = c.ds[cfg.key];
+                return {
+                    label: `${c.name} · ${cfg.label}`,
+                    data: Array.from(s.x, (x, j) => ({ x: x - c.t0, y: s.y[j] })),
+                    yAxisID: cfg.axis,
+                    borderColor: c.color,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false,
+                    tension: 0.3
+                };
+            });
+            ORDER.forEach(m => {
+                const axis = chart.options.scales[metricConfig[m].axis];
+                axis.position = m === metric ? 'left' : 'right';
+                axis.grid.drawOnChartArea = m === metric;
+            });
+            chart.options.plugins.legend.display = true;
+            chart.update();
+        }
+
+        // Imagen PNG de cada métrica por separado sobre el rango completo (para el reporte)
+        async function snapshot() {
+            if (!chart || !full) return null;
+            // Tras un zoom 'ds' sólo cubre la ventana visible: re-muestrear la sesión completa
+            const savedDs = ds;
+            const whole = await Analysis.series(full.t[0], full.t[full.t.length - 1]);
+            const saved = { ...visible };
+            const savedCompare = compare;
+            const savedRange = { min: chart.options.scales.x.min, max: chart.options.scales.x.max };
+            if (compare) { chart.data.datasets = baseSets; compare = null; }
+            delete chart.options.scales.x.min;
+            delete chart.options.scales.x.max;
+            ds = whole;
+
+            const images = {};
+            ORDER.forEach(m => {
+                ORDER.forEach(k => { visible[k] = k === m; });
+                refreshChart('none');
+                images[m] = chart.toBase64Image();
+            });
+
+            ds = savedDs;
+            Object.assign(visible, saved);
+            if (savedCompare) { baseSets = chart.data.datasets; compare = savedCompare; }
+            if (savedRange.min !== undefined) Object.assign(chart.options.scales.x, savedRange);
+            refreshChart('none');
+            return images;
+        }
+
+        function refreshChart(updateMode) {
+            if (!chart) return;
+            if (compare) { refreshComparison(); return; }
+            ORDER.forEach((m, k) => {
+                const cfg = metricConfig[m];
+                const s = ds?.[cfg.key];
+                const set = chart.data.datasets[k];
+                set.data = s ? Array.from(s.x, (x, j) => ({ x, y: s.y[j] })) : [];
+                set.hidden = !visible[m];
+                // Con una sola métrica se rellena el área, como antes
+                set.fill = Object.values(visible).filter(Boolean).length === 1;
+            });
+            // El primer eje visible va a la izquierda y dibuja la rejilla
+            const shown = ORDER.filter(m => visible[m]);
+            shown.forEach((m, k) => {
+                const axis = chart.options.scales[metricConfig[m].axis];
+                axis.position = k === 0 ? 'left' : 'right';
+                axis.grid.drawOnChartArea = k === 0;
+            });
+            chart.options.plugins.legend.display = shown.length > 1;
+            chart.update(updateMode);
+        }
+
+        // El PNG es el lienzo tal como se ve: zoom, superposición y selección incluidos
+        function exportChart() {
+            if (!chart) return;
+            const url = chart.toBase64Image();
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `grafica_${compare ? 'comparacion_' : ''}${ORDER.filter(m => visible[m]).join('-')}_${Date.now()}.png`;
+            a.click();
+        }
+
+        return {
+            init, loadData, setRange, resetRange, setMode, clearSelection,
+            toggleMetric, setMetric, toggleTimeMode, exportChart, setComparison, snapshot
+        };
+    })();
+
+    // ============================================================
+    //  MÓDULO: COMPARACIÓN DE SESIONES
+    // ============================================================
+    const Compare = (() => {
+        const COLORS = ['#3b82f6', '#f59e0b', '#10b981', '#ef4444', '#a855f7', '#06b6d4'];
+        // [{ name, color, t0, duration, count, stats, energy, ds }] — la primera es la referencia
+        let sessions = [];
+
+        const ROWS = [
+            { label: 'V promedio',  unit: 'V',  d: 1, get: s => s.stats.v.avg },
+            { label: 'V máximo',    unit: 'V',  d: 1, get: s => s.stats.v.max },
+            { label: 'V mínimo',    unit: 'V',  d: 1, get: s => s.stats.v.min },
+            { label: 'V desv. std', unit: 'V',  d: 2, get: s => s.stats.v.std },
+            { label: 'I promedio',  unit: 'A',  d: 3, get: s => s.stats.i.avg },
+            { label: 'I máximo',    unit: 'A',  d: 3, get: s => s.stats.i.max },
+            { label: 'P promedio',  unit: 'W',  d: 1, get: s => s.stats.p.avg },
+            { label: 'P máximo',    unit: 'W',  d: 1, get: s => s.stats.p.max },
+            { label: 'P mediana',   unit: 'W',  d: 1, get: s => s.stats.p.median },
+            { label: 'Energía',     unit: 'Wh', d: 2, get: s => s.energy },
+            { label: 'Duración',    unit: 's',  d: 0, get: s => s.duration },
+            { label: 'Muestras',    unit: '#',  d: 0, get: s => s.count }
+        ];
+
+        async function addFiles(fileList) {
+            const list = [...(fileList || [])].filter(f => /\.(csv|txt)$/i.test(f.name));
+            for (const file of list) await add(file, file.name);
+        }
+
+        // Sesión mostrada en las estadísticas (microSD o archivo local): ya está analizada
+        function addCurrent() {
+            const cur = FileManager.analyzed;
+            if (!cur) { logSerial('WARN', 'No hay una sesión analizada para comparar'); return; }
+            if (!isNew(cur.label)) return;
+            push(cur.label, cur);
+        }
+
+        async function add(source, name) {
+            if (!isNew(name)) return;
+            let res;
+            try {
+                res = await Analysis.parse(source, null, false);
+            } catch (e) {
+                logSerial('ERROR', `${name}: ${e.message}`);
+                return;
+            }
+            res.warnings.forEach(w => logSerial('WARN', `${name}: ${w}`));
+            push(name, res);
+        }
+
+        function isNew(name) {
+            if (!sessions.some(s => s.name === name)) return true;
+            logSerial('WARN', `Ya está en la comparación: ${name}`);
+            return false;
+        }
+
+        function push(name, res) {
+            const t = res.full.t;
+            sessions.push({
+                name,
+                color: COLORS[sessions.length % COLORS.length],
+                t0: t[0],
+                duration: t[t.length - 1] - t[0],
+                count: res.count,
+                stats: res.stats,
+                energy: Energy.energyOf(t, res.full.p),
+                ds: res.ds
+            });
+            logSerial('INFO', `Sesión añadida a la comparación: ${name}`);
+            refresh();
+        }
+
+        function remove(idx) {
+            sessions.splice(idx, 1);
+            sessions.forEach((s, k) => { s.color = COLORS[k % COLORS.length]; });
+            refresh();
+        }
+
+        function clear() {
+            sessions = [];
+            refresh();
+        }
+
+        function refresh() {
+            document.getElementById('comparePanel').classList.toggle('hidden', sessions.length === 0);
+            HistoryChart.setComparison(sessions.length ? sessions : null);
+            renderList();
+            renderTable();
+        }
+
+        function renderList() {
+            document.getElementById('compareList').innerHTML = sessions.map((s, k) => `
+                <div class="vlab-load">
+                    <span class="compare-chip" style="background:${s.color}"></span>
+                    <span class="vlab-load-type">${k === 0 ? 'REF' : String.fromCharCode(65 + k)}</span>
+                    <span class="vlab-load-val">${esc(s.name)}</span>
+                    <button class="log-clear-btn" onclick="Compare.remove(${k})">✕</button>
+                </div>
+            `).join('');
+        }
+
+        // Diferencias respecto a la referencia (primera sesión)
+        function diff(ref, val) {
+            const abs = val - ref;
+            const pct = ref !== 0 ? abs / Math.abs(ref) * 100 : null;
+            return { abs, pct };
+        }
+
+        function renderTable() {
+            const head = document.getElementById('compareHead');
+            const body = document.getElementById('compareBody');
+            if (sessions.length === 0) { head.innerHTML = ''; body.innerHTML = ''; return; }
+            const [ref, ...others] = sessions;
+            head.innerHTML = `<tr><th>Métrica</th><th style="color:${ref.color}">REF</th>` +
+                others.map((s, k) => `<th style="color:${s.color}">${String.fromCharCode(66 + k)}</th><th>Δ</th><th>Δ%</th>`).join('') + '</tr>';
+            body.innerHTML = ROWS.map(r => {
+                const base = r.get(ref);
+                return `<tr><td>${r.label} (${r.unit})</td><td>${base.toFixed(r.d)}</td>` + others.map(s => {
+                    const v = r.get(s);
+                    const { abs, pct } = diff(base, v);
+                    const cls = abs > 0 ? 'diff-up' : abs < 0 ? 'diff-down' : '';
+                    return `<td>${v.toFixed(r.d)}</td><td class="${cls}">${abs >= 0 ? '+' : ''}${abs.toFixed(r.d)}</td>` +
+                           `<td class="${cls}">${pct === null ? '—' : `${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%`}</td>`;
+                }).join('') + '</tr>';
+            }).join('');
+        }
+
+        function exportCSV() {
+            if (sessions.length === 0) return;
+            const [ref, ...others] = sessions;
+            const header = ['metrica', 'unidad', `ref:${ref.name}`,
+                ...others.flatMap(s => [s.name, `delta:${s.name}`, `delta_pct:${s.name}`])];
+            const rows = ROWS.map(r => {
+                const base = r.get(ref);
+                return [r.label, r.unit, base.toFixed(r.d + 2), ...others.flatMap(s => {
+                    const v = r.get(s);
+                    const { abs, pct } = diff(base, v);
+                    return [v.toFixed(r.d + 2), abs.toFixed(r.d + 2), pct === null ? '' : pct.toFixed(2)];
+                })];
+            });
+            const csv = [header, ...rows].map(r => r.map(c => `"${String(c).replace(/"/g, '""')}"`).join(',')).join('\n');
+            downloadBlob(csv, 'text/csv', `comparacion_${Date.now()}.csv`);
+        }
+
+        return { addFiles, addCurrent, remove, clear, exportCSV };
+    })();
+
+    // ============================================================
+    //  MÓDULO: REPORTE DE LABORATORIO
+    // ============================================================
+    const Report = (() => {
+        const STORAGE_KEY = 'ova.report';
+        const FIELDS = ['repPractice', 'repGroup', 'repStudents', 'repObservations'];
+
+        function toggle() {
+            const panel = document.getElementById('reportPanel');
+            panel.classList.toggle('hidden');
+            if (!panel.classList.contains('hidden')) restore();
+        }
+
+        // Nombres y práctica se recuerdan entre reportes
+        function restore() {
+            let saved = {};
+            try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}; } catch (e) { /* sin datos */ }
+            FIELDS.forEach(id => {
+                const el = document.getElementById(id);
+                if (!el.value && saved[id]) el.value = saved[id];
+            });
+        }
+
+        function save() {
+            const data = {};
+            FIELDS.forEach(id => { data[id] = document.getElementById(id).value; });
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+            return data;
+        }
+
+        // Huecos, sobretensiones e interrupciones en la serie de voltaje RMS de la sesión
+        function detectEvents(t, v, nominal) {
+            const classify = x => x < 0.1 * nominal ? 'Interrupción' : x < 0.9 * nominal ? 'Hueco' : x > 1.1 * nominal ? 'Sobretensión' : null;
+            const out = [];
+            let cur = null;
+            for (let k = 0; k < v.length; k++) {
+                const type = classify(v[k]);
+                if (cur && type !== cur.type) { out.push(cur); cur = null; }
+                if (type && !cur) cur = { type, start: t[k], end: t[k], extreme: v[k] };
+                if (cur) {
+                    cur.end = t[k];
+                    cur.extreme = type === 'Sobretensión' ? Math.max(cur.extreme, v[k]) : Math.min(cur.extreme, v[k]);
+                }
+            }
+            if (cur) out.push(cur);
+            return out;
+        }
+
+        function statsTable() {
+            const cells = [...document.querySelectorAll('#statsGrid .stat-block')].map(b => `
+                <td><span class="lbl">${esc(b.querySelector('.stat-label').textContent)}</span>
+                    <b>${esc(b.querySelector('.stat-value').textContent)}</b> ${esc(b.querySelector('.stat-unit').textContent)}</td>`);
+            const rows = [];
+            for (let k = 0; k < cells.length; k += 4) rows.push(`<tr>${cells.slice(k, k + 4).join('')}</tr>`);
+            return `<table class="grid">${rows.join('')}</table>
+                <table><thead>${document.querySelector('.stats-pct thead').innerHTML}</thead>
+                <tbody>${document.getElementById('statsPct').innerHTML}</tbody></table>`;
+        }
+
+        function eventsTable(session, origin) {
+            const t = session.full.t;
+            const nominal = Settings.nominalVoltage;
+            const detected = detectEvents(t, session.full.v, nominal);
+            const fmt = x => origin !== null ? new Date(origin + x * 1000).toLocaleTimeString() : `${x.toFixed(0)} s`;
+            let html = `<h3>Eventos de calidad detectados en la sesión (Vn = ${nominal} V)</h3>` + (detected.length === 0
+                ? '<p class="muted">Sin huecos, sobretensiones ni interrupciones.</p>'
+                : `<table><thead><tr><th>Inicio</th><th>Tipo</th><th>Duración</th><th>Extremo</th></tr></thead><tbody>${
+                    detected.map(e => `<tr><td>${fmt(e.start)}</td><td>${e.type}</td><td>${(e.end - e.start).toFixed(0)} s</td><td>${e.extreme.toFixed(1)} V</td></tr>`).join('')
+                }</tbody></table>`);
+
+            // Alarmas del monitor en vivo que caen dentro de la sesión (requiere hora de reloj)
+            if (origin !== null) {
+                const from = origin + t[0] * 1000, to = origin + t[t.length - 1] * 1000;
+                const live = Alarms.events.filter(e => e.start <= to && (e.end ?? Date.now()) >= from);
+                if (live.length) {
+                    html += `<h3>Alarmas registradas durante la sesión</h3>
+                        <table><thead><tr><th>Inicio</th><th>Tipo</th><th>Detalle</th><th>Extremo</th></tr></thead><tbody>${
+                        live.map(e => `<tr><td>${new Date(e.start).toLocaleTimeString()}</td><td>${e.type}</td><td>${esc(e.detail)}</td><td>${e.extreme.toFixed(2)} ${e.unit}</td></tr>`).join('')
+                    }</tbody></table>`;
+                }
+            }
+            return html;
+        }
+
+        async function build() {
+            const session = FileManager.analyzed;
+            if (!session) { logSerial('WARN', 'Analice una sesión antes de generar el reporte'); return null; }
+            const form = save();
+            const images = await HistoryChart.snapshot();
+            const withScope = document.getElementById('repScope').checked;
+            const scope = withScope ? document.getElementById('oscCanvas').toDataURL('image/png') : null;
+
+            const t = session.full.t;
+            const duration = t[t.length - 1] - t[0];
+            const origin = session.origin;
+            const meta = [
+                ['Sesión', session.label],
+                ['Inicio', origin !== null ? new Date(origin + t[0] * 1000).toLocaleString() : 'desconocido'],
+                ['Duración', `${Math.floor(duration / 3600)} h ${Math.floor(duration % 3600 / 60)} min ${Math.round(duration % 60)} s`],
+                ['Muestras', session.count],
+                ['Perfil', Settings.profileLabel],
+                ['Calibración', `V: ${Sensor.V_FACTOR.toFixed(4)} V/cuenta · I: ${(3300 / Sensor.ADC_MAX * Sensor.I_COUNTS_PER_A).toFixed(0)} mV/A`],
+                ['Generado', new Date().toLocaleString()]
+            ];
+            const titles = { voltage: 'Voltaje RMS', current: 'Corriente RMS', power: 'Potencia' };
+            const selection = document.getElementById('dataSource').textContent.startsWith('Selección')
+                ? `<p class="muted">Estadísticas del tramo: ${esc(document.getElementById('dataSource').textContent)}</p>` : '';
+
+            return `<!DOCTYPE html>
+<html lang="es"><head><meta charset="UTF-8">
+<title>Reporte — ${esc(form.repPractice || session.label)}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #111; max-width: 900px; margin: 1.5rem auto; padding: 0 1rem; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 4px; } h2 { font-size: 14px; border-bottom: 2px solid #3b82f6; padding-bottom: 3px; margin-top: 1.4rem; }
+    h3 { font-size: 12px; margin: 1rem 0 4px; }
+    table { width: 100%; border-collapse: collapse; margin: 6px 0; }
+    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+    th { background: #f1f5f9; }
+    .grid td { width: 25%; } .lbl { display: block; font-size: 9px; color: #555; text-transform: uppercase; }
+    .meta td:first-child { width: 140px; font-weight: bold; }
+    .chart { background: #111318; padding: 6px; border-radius: 4px; margin: 4px 0 10px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    .chart img { width: 100%; display: block; }
+    .field { border: 1px solid #ccc; min-height: 2.2em; padding: 6px; white-space: pre-wrap; }
+    .field.tall { min-height: 8em; }
+    .muted { color: #666; }
+    .toolbar { text-align: right; } .toolbar button { padding: 6px 14px; font-size: 12px; cursor: pointer; }
+    section { break-inside: avoid; }
+    @media print { .toolbar { display: none; } body { margin: 0; } }
+</style></head><body>
+<div class="toolbar"><button onclick="window.print()">Imprimir / Guardar PDF</button></div>
+<h1>${esc(form.repPractice || 'Reporte de laboratorio')}</h1>
+<p class="muted">OVA Monitoreo Energético — ESP32-S3 · ZMPT101B · ACS712</p>
+
+<section><h2>Datos de la sesión</h2>
+<table class="meta">${meta.map(([k, v]) => `<tr><td>${k}</td><td>${esc(v)}</td></tr>`).join('')}
+<tr><td>Grupo</td><td contenteditable="true">${esc(form.repGroup)}</td></tr>
+<tr><td>Estudiantes</td><td contenteditable="true">${esc(form.repStudents).replace(/\n/g, '<br>')}</td></tr></table></section>
+
+<section><h2>Estadísticas y energía</h2>${selection}${statsTable()}</section>
+
+<h2>Gráficas</h2>
+${Object.entries(images || {}).map(([m, src]) => `<section><h3>${titles[m]}</h3><div class="chart"><img src="${src}" alt="${titles[m]}"></div></section>`).join('')}
+${scope ? `<section><h3>Captura del osciloscopio</h3><div class="chart"><img src="${scope}" alt="Osciloscopio"></div></section>` : ''}
+
+<section><h2>Eventos</h2>${eventsTable(session, origin)}</section>
+
+<section><h2>Observaciones</h2>
+<div class="field tall" contenteditable="true">${esc(form.repObservations)}</div></section>
+</body></html>`;
+        }
+
+        async function generate() {
+            // La ventana se abre antes de esperar las gráficas: fuera del clic el navegador la bloquearía
+            const win = window.open('', '_blank');
+            const html = await build();
+            if (!html) { if (win) win.close(); return; }
+            if (!win) {
+                // Ventanas emergentes bloqueadas: descargar el documento
+                downloadBlob(html, 'text/html', `reporte_${Date.now()}.html`);
+                logSerial('INFO', 'Reporte descargado como HTML (ventana emergente bloqueada)');
+                return;
+            }
+            win.document.open();
+            win.document.write(html);
+            win.document.close();
+            logSerial('INFO', 'Reporte generado: use "Imprimir / Guardar PDF"');
+        }
 
-            document.getElementById('valVoltage').innerHTML = `${v.toFixed(1)}<span class="gauge-unit">V</span>`;
-            document.getElementById('valCurrent').innerHTML = `${i.toFixed(2)}<span class="gauge-unit">A</span>`;
-            document.getElementById('valPower').innerHTML   = `${p.toFixed(1)}<span class="gauge-unit">W</span>`;
+        async function download() {
+            const html = await build();
+            if (html) downloadBlob(html, 'text/html', `reporte_${Date.now()}.html`);
         }
 
-        return { init, update };
+        return { toggle, generate, download };
     })();
 
     // ============================================================
-    //  MÓDULO: OSCILOSCOPIO (Canvas optimizado)
+    //  MÓDULO: EXPORTACIÓN DE DATOS
     // ============================================================
-    const Oscilloscope = (() => {
-        const MAX_POINTS = 1200;
-        let canvas, ctx;
-        let waveData = new Float32Array(MAX_POINTS);
-        let writePos = 0;
-        let totalPushed = 0;
-        let running = false;
-        const ADC_OFFSET = 1918, ADC_MAX = 4095;
+    const DataExport = (() => {
+        // Factores respecto a la unidad base (V, A, W, Wh)
+        const UNITS = {
+            v: { V: 1, kV: 1e-3 },
+            i: { A: 1, mA: 1e3 },
+            p: { W: 1, kW: 1e-3 },
+            e: { Wh: 1, kWh: 1e-3 }
+        };
+        const NAMES = { v: 'voltage', i: 'current', p: 'power' };
 
-        function init() {
-            canvas = document.getElementById('oscCanvas');
-            ctx = canvas.getContext('2d');
-            // Esperar a que el contenedor tenga dimensiones reales
-            setTimeout(() => {
-                resize();
-                drawIdle();
-            }, 100);
-            window.addEventListener('resize', () => {
-                resize();
-            });
+        function toggle() {
+            document.getElementById('exportPanel').classList.toggle('hidden');
         }
 
-        function resize() {
-            const container = canvas.parentElement;
-            const w = container.clientWidth;
-            const h = container.clientHeight;
-            if (w > 0 && h > 0) {
-                canvas.width  = w;
-                canvas.height = h;
-            }
+        function options() {
+            const val = id => document.getElementById(id).value;
+            const on = id => document.getElementById(id).checked;
+            return {
+                interval: +val('expInterval'),
+                agg: ['mean', 'min', 'max'].filter(a => on(`expAgg_${a}`)),
+                units: { v: val('expUnitV'), i: val('expUnitI'), p: val('expUnitP'), e: val('expUnitE') },
+                energy: on('expEnergy'),
+                elapsed: on('expElapsed'),
+                iso: on('expIso'),
+                format: val('expFormat'),
+                delim: val('expDelim') === 'tab' ? '\t' : val('expDelim'),
+                decimalComma: on('expComma')
+            };
         }
 
-        function pushSamples(samples) {
-            samples.forEach(raw => {
-                // Normalizar a rango -1 a +1
-                waveData[writePos % MAX_POINTS] = (raw - ADC_OFFSET) / (ADC_MAX / 2);
-                writePos++;
-                totalPushed++;
-            });
-            if (!running) {
-                running = true;
-                requestAnimationFrame(draw);
+        // Energía acumulada (Wh) en cada muestra, por trapecios
+        function cumulativeEnergy(t, p) {
+            const out = new Float64Array(t.length);
+            for (let k = 1; k < t.length; k++) {
+                const dt = t[k] - t[k - 1];
+                out[k] = out[k - 1] + (dt > 0 ? (p[k] + p[k - 1]) / 2 * dt / 3600 : 0);
             }
+            return out;
         }
 
-        function drawGrid(W, H) {
-            // Fondo
-            ctx.fillStyle = '#08090d';
-            ctx.fillRect(0, 0, W, H);
+        // Tabla { columns, rows } con números en las unidades elegidas
+        function table(session, opt) {
+            const { t, v, i, p } = session.full;
+            const data = { v, i, p };
+            const origin = session.origin;
+            const energy = opt.energy ? cumulativeEnergy(t, p) : null;
+            const scale = (key, x) => x * UNITS[key][opt.units[key]];
 
-            // Grilla vertical y horizontal
-            ctx.strokeStyle = 'rgba(40,46,58,0.9)';
-            ctx.lineWidth = 1;
-            const cols = 10, rows = 6;
-            for (let i = 0; i <= cols; i++) {
-                const x = Math.round((W / cols) * i) + 0.5;
-                ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, H); ctx.stroke();
-            }
-            for (let i = 0; i <= rows; i++) {
-                const y = Math.round((H / rows) * i) + 0.5;
-                ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(W, y); ctx.stroke();
-            }
+            const columns = [];
+            if (opt.iso && origin !== null) columns.push('timestamp_iso');
+            columns.push('t_s');
+            if (opt.elapsed) columns.push('elapsed_s');
 
-            // Línea central más visible
-            ctx.strokeStyle = 'rgba(59,130,246,0.2)';
-            ctx.lineWidth = 1;
-            ctx.beginPath();
-            ctx.moveTo(0, H / 2);
-            ctx.lineTo(W, H / 2);
-            ctx.stroke();
-        }
+            const resample = opt.interval > 0;
+            const agg = resample ? (opt.agg.length ? opt.agg : ['mean']) : [];
+            ['v', 'i', 'p'].forEach(key => {
+                const base = `${NAMES[key]}_${opt.units[key]}`;
+                if (resample) agg.forEach(a => columns.push(`${base}_${a}`));
+                else columns.push(base);
+            });
+            if (resample) columns.push('samples');
+            if (energy) columns.push(`energy_${opt.units.e}`);
 
-        function drawIdle() {
-            if (!canvas.width || !canvas.height) { resize(); }
-            const W = canvas.width, H = canvas.height;
-            if (!W || !H) return;
-            drawGrid(W, H);
-            // Texto de espera
-            ctx.fillStyle = 'rgba(100,116,139,0.6)';
-            ctx.font = '12px "Share Tech Mono", monospace';
-            ctx.textAlign = 'center';
-            ctx.fillText('Esperando datos — pulse OSCILOSCOPIO ON', W / 2, H / 2 + 30);
-            ctx.textAlign = 'left';
-        }
+            const timeCols = time => [
+                ...(opt.iso && origin !== null ? [new Date(origin + time * 1000).toISOString()] : []),
+                time,
+                ...(opt.elapsed ? [time - t[0]] : [])
+            ];
 
-        function draw() {
-            running = false;
+            const rows = [];
+            if (!resample) {
+                for (let k = 0; k < t.length; k++) {
+                    rows.push([...timeCols(t[k]), scale('v', v[k]), scale('i', i[k]), scale('p', p[k]),
+                        ...(energy ? [scale('e', energy[k])] : [])]);
+                }
+                return { columns, rows };
+            }
 
-            // Re-sincronizar tamaño si cambió
-            const container = canvas.parentElement;
-            if (canvas.width !== container.clientWidth && container.clientWidth > 0) {
-                canvas.width  = container.clientWidth;
-                canvas.height = container.clientHeight;
+            // Cubos de ancho fijo alineados con el inicio de la sesión
+            let k = 0;
+            while (k < t.length) {
+                const bucket = Math.floor((t[k] - t[0]) / opt.interval);
+                const start = t[0] + bucket * opt.interval;
+                const acc = { v: [0, Infinity, -Infinity], i: [0, Infinity, -Infinity], p: [0, Infinity, -Infinity] };
+                let n = 0;
+                while (k < t.length && t[k] < start + opt.interval) {
+                    ['v', 'i', 'p'].forEach(key => {
+                        const x = data[key][k], a = acc[key];
+                        a[0] += x;
+                        if (x < a[1]) a[1] = x;
+                        if (x > a[2]) a[2] = x;
+                    });
+                    n++;
+                    k++;
+                }
+                const row = timeCols(start);
+                ['v', 'i', 'p'].forEach(key => {
+                    const [sum, min, max] = acc[key];
+                    const vals = { mean: sum / n, min, max };
+                    agg.forEach(a => row.push(scale(key, vals[a])));
+                });
+                row.push(n);
+                if (energy) row.push(scale('e', energy[k - 1]));
+                rows.push(row);
             }
+            return { columns, rows };
+        }
 
-            const W = canvas.width, H = canvas.height;
-            if (!W || !H) return;
+        const num = x => typeof x === 'number' ? +x.toPrecision(8) : x;
 
-            drawGrid(W, H);
+        function toCSV(tbl, opt) {
+            const cell = x => {
+                if (typeof x !== 'number') return x;
+                const str = String(num(x));
+                return opt.decimalComma ? str.replace('.', ',') : str;
+            };
+            return [tbl.columns.join(opt.delim), ...tbl.rows.map(r => r.map(cell).join(opt.delim))].join('\r\n') + '\r\n';
+        }
 
-            const count = Math.min(totalPushed, MAX_POINTS);
-            if (count < 2) return;
+        function toJSON(tbl, session, opt) {
+            return JSON.stringify({
+                source: session.label,
+                start: session.origin !== null ? new Date(session.origin + session.full.t[0] * 1000).toISOString() : null,
+                interval_s: opt.interval || null,
+                units: opt.units,
+                columns: tbl.columns,
+                rows: tbl.rows.map(r => Object.fromEntries(r.map((x, k) => [tbl.columns[k], num(x)])))
+            }, null, 1);
+        }
 
-            const amp   = (H / 2) * 0.85;  // 85% de la mitad del canvas
-            const startI = (writePos - count + MAX_POINTS * 10) % MAX_POINTS;
+        // XLSX mínimo (SpreadsheetML en un ZIP): una hoja, cadenas en línea
+        function toXLSX(tbl) {
+            const xml = text => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+            const col = n => { let s = ''; for (n++; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s; return s; };
+            // NaN o infinito no son valores válidos en <v>: celda vacía
+            const cell = (x, c, r) => typeof x !== 'number'
+                ? `<c r="${col(c)}${r}" t="inlineStr"><is><t>${xml(x)}</t></is></c>`
+                : Number.isFinite(x) ? `<c r="${col(c)}${r}"><v>${num(x)}</v></c>` : `<c r="${col(c)}${r}"/>`;
+            const rows = [tbl.columns, ...tbl.rows].map((row, r) =>
+                `<row r="${r + 1}">${row.map((x, c) => cell(x, c, r + 1)).join('')}</row>`).join('');
 
-            ctx.beginPath();
-            ctx.strokeStyle = '#3b82f6';
-            ctx.lineWidth   = 1.5;
-            ctx.shadowColor = '#3b82f6';
-            ctx.shadowBlur  = 6;
-            ctx.lineJoin    = 'round';
-
-            for (let i = 0; i < count; i++) {
-                const x   = (i / (count - 1)) * W;
-                const idx = (startI + i) % MAX_POINTS;
-                const y   = H / 2 - waveData[idx] * amp;
-                if (i === 0) ctx.moveTo(x, y);
-                else         ctx.lineTo(x, y);
+            const head = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+            const now = Date.now();
+            return buildZip([
+                { name: '[Content_Types].xml', date: now, data: head +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '</Types>' },
+                { name: '_rels/.rels', date: now, data: head +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>' },
+                { name: 'xl/workbook.xml', date: now, data: head +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    '<sheets><sheet name="Sesion" sheetId="1" r:id="rId1"/></sheets></workbook>' },
+                { name: 'xl/_rels/workbook.xml.rels', date: now, data: head +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '</Relationships>' },
+                { name: 'xl/worksheets/sheet1.xml', date: now, data: head +
+                    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows}</sheetData></worksheet>` }
+            ]);
+        }
+
+        function run() {
+            const session = FileManager.analyzed;
+            if (!session) { logSerial('WARN', 'Analice una sesión antes de exportar'); return; }
+            const opt = options();
+            if (opt.format === 'csv' && opt.decimalComma && opt.delim === ',') {
+                logSerial('WARN', 'Con coma decimal el separador debe ser ";" o tabulador');
+                return;
             }
-            ctx.stroke();
-            ctx.shadowBlur = 0;
+            if (opt.iso && session.origin === null) logSerial('WARN', 'Hora de inicio desconocida: se omite la marca ISO');
 
-            // Seguir animando mientras haya datos recientes
-            running = true;
-            requestAnimationFrame(draw);
+            const tbl = table(session, opt);
+            const base = `${session.label.replace(/^.*?:\s*/, '').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_')}` +
+                (opt.interval ? `_${opt.interval}s` : '');
+            if (opt.format === 'json') downloadBlob(toJSON(tbl, session, opt), 'application/json', `${base}.json`);
+            else if (opt.format === 'xlsx') downloadBlob(toXLSX(tbl), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', `${base}.xlsx`);
+            else downloadBlob('\uFEFF' + toCSV(tbl, opt), 'text/csv', `${base}.csv`);
+            logSerial('INFO', `Exportadas ${tbl.rows.length} filas (${opt.format.toUpperCase()})`);
         }
 
-        return { init, pushSamples };
+        return { toggle, run };
     })();
 
     // ============================================================
-    //  MÓDULO: FILE MANAGER
+    //  MÓDULO: BIBLIOTECA DE SESIONES (IndexedDB)
     // ============================================================
-    const FileManager = (() => {
-        let receivingName = '';
-        let receivingContent = '';
+    // Grabación en el navegador de los mensajes 'rms' (y opcionalmente 'wave') de la
+    // placa mostrada al iniciarla, más las sesiones descargadas de la microSD. Almacenes:
+    //   sessions: metadatos { id, title, tags[], load, notes, source, file, board, date,
+    //             duration, count, crc, wave, recording } — lo único que lee el listado
+    //   data:     { id, csv }
+    //   waves:    { session, t, chunks[] } bloques de forma de onda (Uint16Array)
+    const Library = (() => {
+        const DB_NAME = 'ova';
+        const DB_VERSION = 1;
+        const SAVE_MS = 30000;            // guardado periódico durante la grabación
+        const WAVE_FLUSH_MS = 2000;
+        const HEADER_1F = 'timestamp,voltage_rms,current_rms,power';
+        const HEADER_3F = 'timestamp,' + [1, 2, 3].map(n => `voltage_l${n},current_l${n},power_l${n}`).join(',');
 
-        function listFiles() {
-            SerialManager.send('LIST');
-        }
+        let dbPromise = null;
+        let sessions = [];                // metadatos del último listado
+        let rec = null;                   // { id, link, t0, header, rows[], wave, chunks[], skipped, saveTimer, waveTimer }
+        let editing = null;               // id en edición
 
-        function renderFileList(files) {
-            const container = document.getElementById('fileList');
-            if (!files || files.length === 0) {
-                container.innerHTML = '<div class="file-empty">No hay archivos CSV en la microSD</div>';
-                return;
+        // ── Acceso a IndexedDB ──
+        function db() {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    if (!window.indexedDB) { reject(new Error('IndexedDB no disponible en este navegador')); return; }
+                    const req = indexedDB.open(DB_NAME, DB_VERSION);
+                    req.onupgradeneeded = () => {
+                        const d = req.result;
+                        const meta = d.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+                        meta.createIndex('crc', 'crc');
+                        d.createObjectStore('data', { keyPath: 'id' });
+                        d.createObjectStore('waves', { autoIncrement: true }).createIndex('session', 'session');
+                    };
+                    req.onsuccess = () => resolve(req.result);
+                    req.onerror = () => reject(req.error);
+                });
+                dbPromise.catch(() => { dbPromise = null; });
             }
-            container.innerHTML = files.map(f => `
-                <div class="file-item">
-                    <div class="file-info">
-                        <span class="file-name">${f.name}</span>
-                        <span class="file-size">${(f.size / 1024).toFixed(1)} KB</span>
-                    </div>
-                    <button class="file-btn" onclick="FileManager.downloadFile('${f.name}')">↓ DESCARGAR</button>
-                </div>
-            `).join('');
+            return dbPromise;
         }
 
-        function downloadFile(name) {
-            SerialManager.send(`READ ${name}`);
+        // fn recibe la transacción y puede devolver una petición, cuyo resultado se entrega
+        async function tx(stores, mode, fn) {
+            const t = (await db()).transaction(stores, mode);
+            const req = fn(t);
+            await new Promise((resolve, reject) => {
+                t.oncomplete = resolve;
+                t.onerror = t.onabort = () => reject(t.error);
+            });
+            return req && 'result' in req ? req.result : undefined;
         }
 
-        function startReceiving(name) {
-            receivingName = name;
-            receivingContent = '';
+        // Leer, modificar y escribir los metadatos en una sola transacción
+        function update(id, patch) {
+            return tx(['sessions'], 'readwrite', t => {
+                const store = t.objectStore('sessions');
+                const req = store.get(id);
+                req.onsuccess = () => { if (req.result) store.put({ ...req.result, ...patch }); };
+            });
         }
 
-        function receiveFileData(content) {
-            receivingContent += content.replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+        const fail = e => logSerial('ERROR', `Biblioteca: ${e.message}`);
+
+        // ── Grabación en el navegador ──
+        async function start() {
+            if (rec) return;
+            const date = Date.now();
+            const meta = {
+                title: `Sesión ${new Date(date).toLocaleString('es')}`, tags: [], load: '', notes: '',
+                source: 'browser', file: null, board: SerialManager.active?.name ?? null,
+                date, duration: 0, count: 0, crc: null,
+                wave: document.getElementById('libWave').checked, recording: true
+            };
+            let id;
+            try {
+                id = await tx(['sessions'], 'readwrite', t => t.objectStore('sessions').add(meta));
+            } catch (e) { fail(e); return; }
+            // Sigue a su placa aunque el panel pase a mostrar otra (sin placa: la traza)
+            rec = { id, link: SerialManager.active, t0: date, header: null, rows: [], wave: meta.wave, chunks: [], skipped: 0 };
+            rec.saveTimer = setInterval(() => save().catch(fail), SAVE_MS);
+            if (rec.wave) rec.waveTimer = setInterval(() => flushWave().catch(fail), WAVE_FLUSH_MS);
+            document.getElementById('btnLibRec').classList.add('hidden');
+            document.getElementById('btnLibStop').classList.remove('hidden');
+            logSerial('SISTEMA', `Grabación en el navegador iniciada${meta.wave ? ' (con forma de onda)' : ''}`);
+            refresh();
         }
 
-        function finishReceiving() {
-            if (!receivingContent) return;
+        // Con `link`, sólo si la grabación sigue a esa placa (al desconectarse)
+        async function stop(reason = '', link = null) {
+            if (!rec || (link && rec.link !== link)) return;
+            const current = rec;
+            clearInterval(current.saveTimer);
+            clearInterval(current.waveTimer);
+            let saved = true;
+            try {
+                await flushWave();
+                await save(true);
+            } catch (e) { fail(e); saved = false; }
+            rec = null;
+            document.getElementById('btnLibStop').classList.add('hidden');
+            document.getElementById('btnLibRec').classList.remove('hidden');
+            const why = reason ? ` (${reason})` : '';
+            if (saved) logSerial('INFO', `Grabación guardada en la biblioteca: ${current.rows.length} filas${why}`);
+            else logSerial('ERROR', `Grabación detenida sin guardar el final: queda como interrumpida${why}`);
+            refresh();
+        }
 
-            // Disparar descarga
-            const blob = new Blob([receivingContent], { type: 'text/csv' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = receivingName.replace('/', '');
-            a.click();
-            URL.revokeObjectURL(url);
+        function save(final = false) {
+            const { id, rows, header, t0 } = rec;
+            const last = rows.length ? +rows[rows.length - 1].slice(0, rows[rows.length - 1].indexOf(',')) : t0;
+            const csv = [header || HEADER_1F, ...rows].join('\n') + '\n';
+            return tx(['sessions', 'data'], 'readwrite', t => {
+                t.objectStore('data').put({ id, csv });
+                const store = t.objectStore('sessions');
+                const req = store.get(id);
+                req.onsuccess = () => {
+                    if (!req.result) return;
+                    store.put({ ...req.result, count: rows.length, duration: (last - t0) / 1000, ...(final ? { recording: false, crc: crc32(csv) } : {}) });
+                };
+            });
+        }
 
-            logSerial('INFO', `Archivo descargado: ${receivingName}`);
+        function flushWave() {
+            if (!rec || !rec.chunks.length) return Promise.resolve();
+            const record = { session: rec.id, t: rec.chunks[0].t, chunks: rec.chunks };
+            rec.chunks = [];
+            return tx(['waves'], 'readwrite', t => { t.objectStore('waves').add(record); });
+        }
 
-            // Parsear y mostrar estadísticas
-            parseAndAnalyze(receivingContent);
+        // Mensajes de cada enlace (desde SerialManager): sólo los de la placa grabada
+        function feed(link, msg) {
+            if (!rec || (rec.link && link !== rec.link)) return;
+            const now = Date.now();
+            if (msg.type === 'rms') {
+                const header = msg.phases ? HEADER_3F : HEADER_1F;
+                if (!rec.header) rec.header = header;
+                if (header !== rec.header) {
+                    if (rec.skipped++ === 0) logSerial('WARN', 'Grabación: cambió el número de fases, se omiten las filas que no coinciden');
+                    return;
+                }
+                const cols = (msg.phases || [msg]).map(r => `${r.voltage},${r.current},${r.power}`).join(',');
+                rec.rows.push(`${now},${cols}`);
+            } else if (msg.type === 'wave' && rec.wave) {
+                const pack = x => x ? Uint16Array.from(x) : null;
+                const rate = msg.rate || Math.round(LineMetrics.sampleRate());
+                rec.chunks.push(msg.phases
+                    ? { t: now, rate, phases: msg.phases.map(ph => ({ voltage: pack(ph.voltage), current: pack(ph.current) })) }
+                    : { t: now, rate, voltage: pack(msg.voltage || msg.samples), current: pack(msg.current) });
+            }
+        }
+
+        // ── Sesiones descargadas de la microSD ──
+        async function store(csv, { file, date }) {
+            try {
+                const crc = crc32(csv);
+                const same = await tx(['sessions'], 'readonly', t => t.objectStore('sessions').index('crc').getAll(crc));
+                if (same.some(m => m.file === file)) return;
+                const meta = {
+                    title: file, tags: ['microsd'], load: '', notes: '', source: 'microsd', file,
+                    board: SerialManager.active?.name ?? null, date: date ?? Date.now(),
+                    duration: null, count: csv.split('\n').filter(l => l.trim()).length - 1, crc, wave: false, recording: false
+                };
+                await tx(['sessions', 'data'], 'readwrite', t => {
+                    const req = t.objectStore('sessions').add(meta);
+                    req.onsuccess = () => t.objectStore('data').put({ id: req.result, csv });
+                });
+                logSerial('INFO', `Guardada en la biblioteca: ${file}`);
+                refresh();
+            } catch (e) { fail(e); }
+        }
+
+        // ── Vista de biblioteca ──
+        function toggle() {
+            const panel = document.getElementById('libraryPanel');
+            panel.classList.toggle('hidden');
+            if (!panel.classList.contains('hidden')) refresh();
         }
 
-        function parseAndAnalyze(csv) {
-            const lines = csv.trim().split('\n');
-            if (lines.length < 2) return;
+        async function refresh() {
+            if (document.getElementById('libraryPanel').classList.contains('hidden')) return;
+            try {
+                sessions = await tx(['sessions'], 'readonly', t => t.objectStore('sessions').getAll());
+            } catch (e) { fail(e); return; }
+            sessions.sort((a, b) => b.date - a.date);
+            renderTags();
+            render();
+        }
 
-            const headers = lines[0].split(',');
-            const vIdx = headers.indexOf('voltage_rms');
-            const iIdx = headers.indexOf('current_rms');
-            const pIdx = headers.indexOf('power');
+        function renderTags() {
+            const sel = document.getElementById('libTag');
+            const current = sel.value;
+            const tags = [...new Set(sessions.flatMap(s => s.tags))].sort();
+            sel.replaceChildren(new Option('Todas las etiquetas', ''), ...tags.map(t => new Option(t, t)));
+            sel.value = tags.includes(current) ? current : '';
+        }
 
-            const voltages = [], currents = [], powers = [];
-            const timestamps = [];
+        function filtered() {
+            const q = document.getElementById('libSearch').value.trim().toLowerCase();
+            const tag = document.getElementById('libTag').value;
+            const day = (id, end) => {
+                const v = document.getElementById(id).value;
+                if (!v) return null;
+                const [y, m, d] = v.split('-').map(Number);
+                return new Date(y, m - 1, end ? d + 1 : d).getTime();
+            };
+            const from = day('libFrom', false), to = day('libTo', true);
+            return sessions.filter(s =>
+                (!tag || s.tags.includes(tag)) &&
+                (from === null || s.date >= from) &&
+                (to === null || s.date < to) &&
+                (!q || [s.title, s.load, s.notes, s.file, s.board, ...s.tags].some(x => x && x.toLowerCase().includes(q))));
+        }
 
-            for (let i = 1; i < lines.length; i++) {
-                const parts = lines[i].split(',');
-                if (parts.length < 4) continue;
-                timestamps.push(parseFloat(parts[0]) / 1000);
-                voltages.push(parseFloat(parts[vIdx]));
-                currents.push(parseFloat(parts[iIdx]));
-                powers.push(parseFloat(parts[pIdx]));
+        function render() {
+            const body = document.getElementById('libBody');
+            const list = filtered();
+            document.getElementById('libCount').textContent = `${list.length} de ${sessions.length} sesiones`;
+            if (list.length === 0) {
+                body.innerHTML = `<tr><td colspan="7" class="event-empty">${sessions.length ? 'Sin coincidencias' : 'Biblioteca vacía: grabe desde el monitor o descargue de la microSD'}</td></tr>`;
+                return;
             }
+            const fmtDur = s => s === null ? '—' : new Date(s * 1000).toISOString().slice(11, 19);
+            body.innerHTML = list.map(s => {
+                const state = rec && rec.id === s.id ? ' <span class="lib-rec">● grabando</span>'
+                    : s.recording ? ' <span class="lib-rec">interrumpida</span>' : '';
+                return `
+                <tr>
+                    <td>${new Date(s.date).toLocaleString('es')}</td>
+                    <td class="lib-title" title="${esc(s.notes)}">${esc(s.title)}${state}${s.load ? `<div class="lib-load">${esc(s.load)}</div>` : ''}</td>
+                    <td>${s.tags.map(t => `<span class="lib-tag">${esc(t)}</span>`).join(' ')}</td>
+                    <td>${s.source === 'microsd' ? 'microSD' : 'Navegador'}${s.wave ? ' + onda' : ''}</td>
+                    <td>${fmtDur(s.duration)}</td>
+                    <td>${s.count ?? '—'}</td>
+                    <td class="lib-actions">
+                        <button class="log-clear-btn" onclick="Library.open(${s.id})">ABRIR</button>
+                        <button class="log-clear-btn" onclick="Library.edit(${s.id})" title="Título, etiquetas, carga y notas">✎</button>
+                        <button class="log-clear-btn" onclick="Library.exportSession(${s.id})" title="Descargar ZIP">↓</button>
+                        <button class="log-clear-btn" onclick="Library.remove(${s.id})" title="Eliminar">✕</button>
+                    </td>
+                </tr>`;
+            }).join('');
+        }
+
+        async function open(id) {
+            const meta = sessions.find(s => s.id === id);
+            if (!meta) return;
+            try {
+                if (rec && rec.id === id) await save();
+                const data = await tx(['data'], 'readonly', t => t.objectStore('data').get(id));
+                if (!data) { logSerial('ERROR', `Sesión sin datos: ${meta.title}`); return; }
+                const ok = await FileManager.parseAndAnalyze(data.csv, `Biblioteca: ${meta.title}`, meta.source === 'microsd' ? meta.date : null);
+                if (!ok || meta.duration !== null) return;
+                // Las sesiones de la microSD se guardan sin analizar: completar al abrirlas
+                const t = FileManager.analyzed.full.t;
+                await update(id, { count: FileManager.analyzed.count, duration: t[t.length - 1] - t[0] });
+                refresh();
+            } catch (e) { fail(e); }
+        }
 
-            if (voltages.length === 0) return;
+        function edit(id) {
+            const meta = sessions.find(s => s.id === id);
+            if (!meta) return;
+            editing = id;
+            document.getElementById('libEditTitle').value = meta.title;
+            document.getElementById('libEditTags').value = meta.tags.join(', ');
+            document.getElementById('libEditLoad').value = meta.load;
+            document.getElementById('libEditNotes').value = meta.notes;
+            document.getElementById('libEditor').classList.remove('hidden');
+            document.getElementById('libEditTitle').focus();
+        }
 
-            const stats = (arr) => {
-                const avg = arr.reduce((a, b) => a + b, 0) / arr.length;
-                const max = Math.max(...arr);
-                const min = Math.min(...arr);
-                const std = Math.sqrt(arr.reduce((a, b) => a + (b - avg) ** 2, 0) / arr.length);
-                return { avg, max, min, std };
+        async function saveEdit() {
+            if (editing === null) return;
+            const val = id => document.getElementById(id).value.trim();
+            const patch = {
+                title: val('libEditTitle') || 'Sin título',
+                tags: [...new Set(val('libEditTags').split(',').map(t => t.trim().toLowerCase()).filter(Boolean))],
+                load: val('libEditLoad'),
+                notes: val('libEditNotes')
             };
+            try { await update(editing, patch); } catch (e) { fail(e); return; }
+            cancelEdit();
+            await refresh();
+        }
 
-            const sv = stats(voltages);
-            const si = stats(currents);
-            const sp = stats(powers);
+        function cancelEdit() {
+            editing = null;
+            document.getElementById('libEditor').classList.add('hidden');
+        }
 
-            document.getElementById('statVavg').textContent = sv.avg.toFixed(1);
-            document.getElementById('statVmax').textContent = sv.max.toFixed(1);
-            document.getElementById('statVmin').textContent = sv.min.toFixed(1);
-            document.getElementById('statVstd').textContent = sv.std.toFixed(2);
-            document.getElementById('statIavg').textContent = si.avg.toFixed(3);
-            document.getElementById('statPavg').textContent = sp.avg.toFixed(1);
-            document.getElementById('statPmax').textContent = sp.max.toFixed(1);
-            document.getElementById('statCount').textContent = voltages.length;
+        async function remove(id) {
+            const meta = sessions.find(s => s.id === id);
+            if (!meta) return;
+            if (rec && rec.id === id) { logSerial('ERROR', 'Detenga la grabación antes de eliminarla'); return; }
+            if (!confirm(`¿Eliminar "${meta.title}" de la biblioteca? Esta acción no se puede deshacer.`)) return;
+            try {
+                await tx(['sessions', 'data', 'waves'], 'readwrite', t => {
+                    t.objectStore('sessions').delete(id);
+                    t.objectStore('data').delete(id);
+                    const cursor = t.objectStore('waves').index('session').openKeyCursor(IDBKeyRange.only(id));
+                    cursor.onsuccess = () => {
+                        const c = cursor.result;
+                        if (!c) return;
+                        t.objectStore('waves').delete(c.primaryKey);
+                        c.continue();
+                    };
+                });
+            } catch (e) { fail(e); return; }
+            if (editing === id) cancelEdit();
+            logSerial('INFO', `Eliminada de la biblioteca: ${meta.title}`);
+            refresh();
+        }
 
-            HistoryChart.loadData(timestamps, voltages, currents, powers);
+        // ZIP con el CSV, los metadatos y, si se grabó, la forma de onda (JSONL)
+        async function exportSession(id) {
+            const meta = sessions.find(s => s.id === id);
+            if (!meta) return;
+            try {
+                if (rec && rec.id === id) { await flushWave(); await save(); }
+                let reqs;
+                await tx(['data', 'waves'], 'readonly', t => {
+                    reqs = [t.objectStore('data').get(id), t.objectStore('waves').index('session').getAll(id)];
+                });
+                const [data, waves] = reqs.map(r => r.result);
+                const base = meta.title.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w-]+/g, '_').slice(0, 60) || `sesion_${id}`;
+                const info = {
+                    title: meta.title, tags: meta.tags, load: meta.load, notes: meta.notes, source: meta.source,
+                    file: meta.file, board: meta.board, date: new Date(meta.date).toISOString(), duration: meta.duration, count: meta.count
+                };
+                const entries = [
+                    { name: `${base}.csv`, data: data ? data.csv : '', date: meta.date },
+                    { name: `${base}.json`, data: JSON.stringify(info, null, 2), date: meta.date }
+                ];
+                if (waves.length) {
+                    const plain = x => x ? Array.from(x) : undefined;
+                    const lines = waves.flatMap(w => w.chunks).map(c => JSON.stringify(c.phases
+                        ? { t: c.t, rate: c.rate, phases: c.phases.map(ph => ({ voltage: plain(ph.voltage), current: plain(ph.current) })) }
+                        : { t: c.t, rate: c.rate, voltage: plain(c.voltage), current: plain(c.current) }));
+                    entries.push({ name: `${base}_onda.jsonl`, data: lines.join('\n') + '\n', date: meta.date });
+                }
+                downloadBlob(buildZip(entries), 'application/zip', `${base}.zip`);
+            } catch (e) { fail(e); }
         }
 
-        return { listFiles, renderFileList, downloadFile, startReceiving, receiveFileData, finishReceiving };
+        return {
+            start, stop, feed, store, toggle, refresh, render, open, edit, saveEdit, cancelEdit, remove, exportSession,
+            get recording() { return rec !== null; }
+        };
     })();
 
     // ============================================================
-    //  MÓDULO: HISTORY CHART
+    //  MÓDULO: CONSOLA SERIAL (log filtrable + línea de comandos)
     // ============================================================
-    const HistoryChart = (() => {
-        let chart = null;
-        let data = { timestamps: [], voltage: [], current: [], power: [] };
-        let currentMetric = 'voltage';
+    // El log completo queda en memoria (para exportar); en pantalla sólo las
+    // últimas MAX_DOM entradas que pasan los filtros.
+    const SerialConsole = (() => {
+        const MAX_DOM = 200;
+        const MAX_ENTRIES = 50000;            // con eco RX el log crece con cada línea: se descartan las más antiguas
+        const MAX_HISTORY = 50;
+        const ECHO_MAX = 160;                 // caracteres de cada entrada en pantalla (el log guarda la línea completa)
+        const STORAGE_KEY = 'ova.console';
 
-        const metricConfig = {
-            voltage: { label: 'Voltaje RMS (V)', color: '#3b82f6', arr: () => data.voltage },
-            current: { label: 'Corriente RMS (A)', color: '#10b981', arr: () => data.current },
-            power:   { label: 'Potencia (W)',     color: '#f59e0b', arr: () => data.power   },
+        // Comandos del protocolo y su sintaxis (autocompletado y ayuda)
+        const COMMANDS = {
+            START: '', STOP: '', LIST: '', STATUS: '',
+            READ: 'nombre', READ2: 'nombre desde', RESEND: 'nombre 3,7', ABORT: '',
+            DELETE: 'nombre', RENAME: 'origen destino',
+            WAVE_ON: '', WAVE_OFF: '', WAVE_RATE: '1000 | 2000 | 5000 | 10000', BIN_ON: '', BIN_OFF: '',
+            CAL_GET: '', CAL_SET: 'VOLTAGE_FACTOR=x CURRENT_OFFSET=y VOLTAGE_OFFSET=z'
         };
 
-        function init() {
-            const ctx = document.getElementById('historyChart').getContext('2d');
-            chart = new Chart(ctx, {
-                type: 'line',
-                data: {
-                    labels: [],
-                    datasets: [{
-                        label: 'Voltaje RMS (V)',
-                        data: [],
-                        borderColor: '#3b82f6',
-                        backgroundColor: 'rgba(59,130,246,0.08)',
-                        borderWidth: 2,
-                        pointRadius: 0,
-                        fill: true,
-                        tension: 0.3
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    animation: { duration: 400 },
-                    plugins: {
-                        legend: { display: false },
-                        tooltip: {
-                            mode: 'index', intersect: false,
-                            backgroundColor: '#1a1d23',
-                            borderColor: '#2d3139',
-                            borderWidth: 1,
-                            titleColor: '#9ca3af',
-                            bodyColor: '#f3f4f6',
-                            titleFont: { family: 'Share Tech Mono' },
-                            bodyFont:  { family: 'Share Tech Mono' }
-                        }
-                    },
-                    scales: {
-                        x: {
-                            ticks: { color: '#6b7280', font: { family: 'Share Tech Mono', size: 10 }, maxRotation: 0, autoSkipPadding: 20 },
-                            grid: { color: '#1f2937' }
-                        },
-                        y: {
-                            ticks: { color: '#6b7280', font: { family: 'Share Tech Mono', size: 10 } },
-                            grid: { color: '#1f2937' }
-                        }
-                    }
-                }
-            });
+        let entries = [];                     // [{ time: Date, type, msg }]
+        const hidden = new Set();             // tipos filtrados
+        let query = '';
+        let autoscroll = true;
+        let echo = false;                     // registrar cada línea recibida como RX
+        let history = load();
+        let cursor = history.length;          // posición al recorrer el historial con ↑↓
+        let draft = '';                       // lo escrito antes de empezar a recorrerlo
+
+        function load() {
+            try { return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []; } catch (e) { return []; }
         }
 
-        function loadData(timestamps, voltage, current, power) {
-            data = { timestamps, voltage, current, power };
-            refreshChart();
+        const matches = e => !hidden.has(e.type) && (!query || `[${e.type}] ${e.msg}`.toLowerCase().includes(query));
+
+        function element(e) {
+            const div = document.createElement('div');
+            const msg = e.msg.length > ECHO_MAX ? `${e.msg.slice(0, ECHO_MAX)}… (${e.msg.length} car.)` : e.msg;
+            div.className = `log-entry log-${e.type.toLowerCase()}`;
+            div.textContent = `[${e.time.toLocaleTimeString('es', { hour12: false })}] [${e.type}] ${msg}`;
+            return div;
         }
 
-        function setMetric(metric, btn) {
-            currentMetric = metric;
-            document.querySelectorAll('.chart-btn').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            refreshChart();
+        function scroll() {
+            const box = document.getElementById('serialLog');
+            if (autoscroll) box.scrollTop = box.scrollHeight;
         }
 
-        function refreshChart() {
-            if (!chart) return;
-            const cfg = metricConfig[currentMetric];
-            chart.data.labels = data.timestamps.map(t => `${t.toFixed(0)}s`);
-            chart.data.datasets[0].data = cfg.arr()();
-            chart.data.datasets[0].label = cfg.label;
-            chart.data.datasets[0].borderColor = cfg.color;
-            chart.data.datasets[0].backgroundColor = cfg.color + '14';
-            chart.update();
+        function log(type, msg) {
+            const e = { time: new Date(), type, msg };
+            entries.push(e);
+            if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES * 0.9);
+            if (!matches(e)) return;
+            const box = document.getElementById('serialLog');
+            box.appendChild(element(e));
+            while (box.children.length > MAX_DOM) box.removeChild(box.firstChild);
+            scroll();
         }
 
-        function exportChart() {
-            if (!chart) return;
-            const url = chart.toBase64Image();
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `grafica_${currentMetric}_${Date.now()}.png`;
-            a.click();
+        // Reconstruir la vista tras cambiar filtros o búsqueda
+        function render() {
+            const box = document.getElementById('serialLog');
+            const shown = [];
+            for (let k = entries.length - 1; k >= 0 && shown.length < MAX_DOM; k--) {
+                if (matches(entries[k])) shown.push(entries[k]);
+            }
+            box.replaceChildren(...shown.reverse().map(element));
+            scroll();
+        }
+
+        function clear() {
+            entries = [];
+            document.getElementById('serialLog').innerHTML = '';
+        }
+
+        function toggleType(type, btn) {
+            if (hidden.has(type)) hidden.delete(type); else hidden.add(type);
+            btn.classList.toggle('off', hidden.has(type));
+            render();
+        }
+
+        function search(text) {
+            query = text.trim().toLowerCase();
+            render();
+        }
+
+        function toggleScroll(btn) {
+            autoscroll = !autoscroll;
+            btn.classList.toggle('active', !autoscroll);
+            btn.textContent = autoscroll ? '❚❚ PAUSAR' : '▶ SEGUIR';
+            scroll();
+        }
+
+        function toggleEcho(btn) {
+            echo = !echo;
+            btn.classList.toggle('active', echo);
+        }
+
+        // Línea cruda de la placa mostrada (la llama SerialManager al recibir)
+        function received(line) {
+            if (echo) log('RX', line);
+        }
+
+        function exportLog() {
+            if (!entries.length) { log('WARN', 'El log está vacío'); return; }
+            const text = entries.map(e => `${e.time.toISOString()} [${e.type}] ${e.msg}`).join('\n') + '\n';
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            downloadBlob(text, 'text/plain', `log_serial_${stamp}.txt`);
+        }
+
+        // ── Línea de comandos ──
+        function submit() {
+            const input = document.getElementById('consoleInput');
+            const cmd = input.value.trim();
+            if (!cmd) return;
+            if (history[history.length - 1] !== cmd) {
+                history.push(cmd);
+                history = history.slice(-MAX_HISTORY);
+                try { localStorage.setItem(STORAGE_KEY, JSON.stringify(history)); } catch (e) { /* modo privado o sin espacio: el historial queda en memoria */ }
+            }
+            cursor = history.length;
+            draft = '';
+            input.value = '';
+            hint('');
+            SerialManager.send(cmd).catch(e => logSerial('ERROR', e.message));
         }
 
-        return { init, loadData, setMetric, exportChart };
+        function browse(input, step) {
+            if (!history.length) return;
+            if (cursor === history.length) draft = input.value;
+            cursor = Math.max(0, Math.min(history.length, cursor + step));
+            input.value = cursor === history.length ? draft : history[cursor];
+            input.setSelectionRange(input.value.length, input.value.length);
+        }
+
+        // Tab: completa el comando (o el prefijo común si hay varios)
+        function complete(input) {
+            const text = input.value.trimStart();
+            if (text.includes(' ')) return;
+            const found = candidates(text);
+            if (!found.length) return;
+            let common = found[0];
+            found.forEach(c => { while (!c.startsWith(common)) common = common.slice(0, -1); });
+            input.value = found.length === 1 && COMMANDS[common] ? `${common} ` : common;
+            hint(input.value);
+        }
+
+        function candidates(text) {
+            const prefix = text.toUpperCase();
+            return Object.keys(COMMANDS).filter(c => c.startsWith(prefix));
+        }
+
+        // Ayuda bajo la línea: comandos posibles o sintaxis del comando escrito
+        function hint(value) {
+            const el = document.getElementById('consoleHint');
+            const [op, ...rest] = value.trimStart().split(' ');
+            if (!op) { el.textContent = ''; return; }
+            const syntax = COMMANDS[op.toUpperCase()];
+            if (rest.length && syntax !== undefined) { el.textContent = syntax ? `${op.toUpperCase()} ${syntax}` : ''; return; }
+            const found = rest.length ? [] : candidates(op);
+            el.textContent = found.length > 1 ? found.join(' · ') : found.length === 1 && found[0] !== op.toUpperCase() ? found[0] : '';
+        }
+
+        function onKey(e) {
+            const input = e.target;
+            if (e.key === 'Enter') { e.preventDefault(); submit(); }
+            else if (e.key === 'ArrowUp') { e.preventDefault(); browse(input, -1); }
+            else if (e.key === 'ArrowDown') { e.preventDefault(); browse(input, 1); }
+            else if (e.key === 'Tab') { e.preventDefault(); complete(input); }
+            else if (e.key === 'Escape') { input.value = ''; hint(''); }
+        }
+
+        return { log, clear, toggleType, search, toggleScroll, toggleEcho, received, exportLog, submit, onKey, hint };
     })();
 
+    function logSerial(type, msg) { SerialConsole.log(type, msg); }
+    function clearLog() { SerialConsole.clear(); }
+
     // ============================================================
-    //  LOG SERIAL
+    //  UTILIDADES
     // ============================================================
-    function logSerial(type, msg) {
-        const log = document.getElementById('serialLog');
-        const entry = document.createElement('div');
-        entry.className = `log-entry log-${type.toLowerCase()}`;
-        const time = new Date().toLocaleTimeString('es', { hour12: false });
-        entry.textContent = `[${time}] [${type}] ${msg}`;
-        log.appendChild(entry);
-        log.scrollTop = log.scrollHeight;
-        // Limitar a 200 entradas
-        while (log.children.length > 200) log.removeChild(log.firstChild);
+    function downloadBlob(content, type, filename) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // CRC-32 (IEEE 802.3) sobre los bytes UTF-8 del texto (o sobre un Uint8Array)
+    const CRC_TABLE = (() => {
+        const t = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            t[n] = c >>> 0;
+        }
+        return t;
+    })();
+
+    function crc32(data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        let c = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+        return (c ^ 0xFFFFFFFF) >>> 0;
     }
-    function clearLog() { document.getElementById('serialLog').innerHTML = ''; }
+
+    // ZIP sin compresión (método "store"): suficiente para CSV y sin dependencias
+    // entries: [{ name, data (texto), date (ms) }]
+    function buildZip(entries) {
+        const enc = new TextEncoder();
+        const parts = [], central = [];
+        let offset = 0;
+
+        entries.forEach(e => {
+            const name = enc.encode(e.name);
+            const data = enc.encode(e.data);
+            const crc = crc32(data);
+            const d = new Date(e.date);
+            const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+            const date = ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);               // versión requerida
+            local.setUint16(6, 0x0800, true);           // nombres en UTF-8
+            local.setUint16(8, 0, true);                // sin compresión
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(local, name, data);
+
+            const cd = new DataView(new ArrayBuffer(46));
+            cd.setUint32(0, 0x02014b50, true);
+            cd.setUint16(4, 20, true);
+            cd.setUint16(6, 20, true);
+            cd.setUint16(8, 0x0800, true);
+            cd.setUint16(12, time, true);
+            cd.setUint16(14, date, true);
+            cd.setUint32(16, crc, true);
+            cd.setUint32(20, data.length, true);
+            cd.setUint32(24, data.length, true);
+            cd.setUint16(28, name.length, true);
+            cd.setUint32(42, offset, true);
+            central.push(cd, name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const cdSize = central.reduce((a, p) => a + p.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, entries.length, true);
+        end.setUint16(10, entries.length, true);
+        end.setUint32(12, cdSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+
+    // Texto seguro para innerHTML y valores de atributo
+    function esc(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    function fmtBytes(n) {
+        if (n >= 1024 ** 3) return `${(n / 1024 ** 3).toFixed(2)} GB`;
+        if (n >= 1024 ** 2) return `${(n / 1024 ** 2).toFixed(1)} MB`;
+        return `${(n / 1024).toFixed(1)} KB`;
+    }
+
+    // Formato en unidades de ingeniería: 0.0167 s → "16.7 ms"
+    function fmtEng(value, unit, digits = 3) {
+        if (!isFinite(value)) return `— ${unit}`;
+        const prefixes = [[1e6, 'M'], [1e3, 'k'], [1, ''], [1e-3, 'm'], [1e-6, 'µ']];
+        const abs = Math.abs(value);
+        const [scale, p] = abs === 0 ? [1, ''] : prefixes.find(([f]) => abs >= f) || prefixes[prefixes.length - 1];
+        return `${+(value / scale).toPrecision(digits)} ${p}${unit}`;
+    }
+
+    // Los handlers inline del HTML (onclick) no ven el ámbito del módulo
+    Object.assign(window, { SerialManager, SerialConsole, Trend, Library, Boards, TraceReplay, VirtualLab, Session, Energy, Harmonics, Oscilloscope, LineMetrics, Alarms, Settings, Calibration, FileManager, HistoryChart, Compare, Report, DataExport, clearLog });
 
     // ============================================================
     //  INICIALIZACIÓN
@@ -805,8 +6547,15 @@
 
         // Inicializar módulos visuales
         Gauges.init();
+        Settings.init();
         Oscilloscope.init();
         HistoryChart.init();
+        Harmonics.init();
+        Trend.init();
+        VirtualLab.renderLoads();
+        Energy.init();
+        Alarms.init();
+        FileManager.init();
 
         logSerial('SISTEMA', 'OVA Energy Monitor v1.0 — Listo. Conecte el ESP32-S3 por USB.');
 